@@ -0,0 +1,180 @@
+//
+//  Small benchmarks for the util functions
+//
+//  Every benchmark compares 2 or more ways of doing the same thing, and prints the time per operation.
+//
+//  @example
+//    node benchmarks.js
+//    node benchmarks.js compile
+//    node benchmarks.js stringEncoder
+//
+//  @example (from your own code, with the lines collected instead of printed)
+//    const lines = []
+//    benchmarks.stringEncoder({log: line => lines.push(line)})
+//
+import { JSONCheck, compile } from '@/scripts/util/json-validator.js'
+import { stringEncoder } from '@/scripts/util/stringEncoder.js'
+
+
+/**
+ * @desc
+ *   Runs fn iterations times, and returns the milliseconds per call.
+ *   Runs it a few times before measuring, so the JIT has warmed up.
+ */
+export function bench(fn, iterations = 10000) {
+    const warmup = Math.min(iterations, 1000)
+    for(let i = 0; i < warmup; i++) {
+        fn()
+    }
+
+    const start = now()
+    for(let i = 0; i < iterations; i++) {
+        fn()
+    }
+    return (now() - start) / iterations
+}
+
+/**
+ * @desc
+ *   Runs all of the cases of a benchmark, and logs them relative to the first case
+ *
+ * @input cases <object>
+ *   ex
+ *   {
+ *     'JSONCheck': () => JSONCheck(data, validator),
+ *     'compile': () => check(data),
+ *   }
+ */
+export function compare(name, cases, {iterations = 10000, log = console.log} = {}) {
+    log(name)
+
+    let baseline
+    const results = {}
+    for(let label in cases) {
+        const ms = bench(cases[label], iterations)
+        results[label] = ms
+        if(baseline === undefined) {
+            baseline = ms
+        }
+        log(
+            '  ' + label.padEnd(24) +
+            (ms * 1000).toFixed(2).padStart(10) + ' µs/op' +
+            (baseline / ms).toFixed(2).padStart(8) + 'x'
+        )
+    }
+    return results
+}
+
+function now() {
+    return typeof performance !== 'undefined'
+        ? performance.now()
+        : Date.now()
+}
+
+
+
+// every benchmark takes {log}, which is passed on to compare
+export const benchmarks = {
+
+    // JSONCheck vs a compiled validator, on a batch of product records
+    compile({log = console.log} = {}) {
+        const validator = {
+            userName: 'string',
+            paymentMethods: [[/each/, {
+                method: '"paypal"',
+                'e-mail': 'string'
+            },
+            {
+                method: '"card"',
+                code: 'string'
+            }]],
+            products: [[/each/, {
+                type: ['"Game"', '"software"'],
+                title: 'string',
+                product_code: 'number|string',
+                playtime: 'number',
+                achievements: [[/each/, {
+                    date: 'string',
+                    id: 'number'
+                }]],
+                userFeedback: {
+                    rating: 'number',
+                    comment: 'undefined|string'
+                },
+            }, {
+                type: '"user_app"',
+                title: 'undefined|string',
+                executable_location: 'string',
+                playtime: 'number',
+            }]]
+        }
+
+        const records = []
+        for(let i = 0; i < 100; i++) {
+            records.push({
+                userName: 'user' + i,
+                paymentMethods: [{method: 'card', code: '1234'}, {method: 'paypal', 'e-mail': 'name@example.org'}],
+                products: [
+                    {
+                        type: 'Game',
+                        title: 'GTA V',
+                        product_code: i,
+                        playtime: 2052384,
+                        achievements: [{date: '03-02-2017', id: 24}, {date: '04-02-2017', id: 25}],
+                        userFeedback: {rating: 4},
+                    },
+                    {
+                        type: 'user_app',
+                        executable_location: 'c:/program files/ut99/System/Unreal Tournament.exe',
+                        playtime: 19942,
+                    },
+                ],
+            })
+        }
+
+        const check = compile(validator)
+
+        compare('JSONCheck vs compile (100 records per op)', {
+            'JSONCheck': () => records.every(record => JSONCheck(record, validator)),
+            'compile (once)': () => records.every(check),
+            'compile (every record)': () => records.every(record => compile(validator)(record)),
+        }, {iterations: 500, log})
+    },
+    
+    // stringEncoder format 1 (nested JSON) vs format 2 (flat), on a deep state tree
+    stringEncoder({log = console.log} = {}) {
+        const createTree = depth => depth === 0
+            ? {label: 'leaf "quoted"', value: 42, done: false}
+            : {label: 'level ' + depth, children: [createTree(depth - 1), createTree(depth - 1)]}
+        
+        const tree = createTree(4)
+        const v1 = stringEncoder.encodeV1(tree)
+        const v2 = stringEncoder.encode(tree)
+        
+        log('stringEncoder size: format 1 ' + v1.length + ' chars, format 2 ' + v2.length + ' chars')
+        compare('stringEncoder.encode (depth 4)', {
+            'format 1': () => stringEncoder.encodeV1(tree),
+            'format 2': () => stringEncoder.encode(tree),
+        }, {iterations: 200, log})
+        compare('stringEncoder.decode (depth 4)', {
+            'format 1': () => stringEncoder.decode(v1),
+            'format 2': () => stringEncoder.decode(v2),
+        }, {iterations: 200, log})
+    },
+}
+
+
+// command line usage: node benchmarks.js [...names]
+if(
+    typeof process !== 'undefined' &&
+    process.argv &&
+    process.argv[1] &&
+    new URL(import.meta.url).pathname === process.argv[1]
+) {
+    const names = process.argv.slice(2)
+    for(let name in benchmarks) {
+        if(names.length === 0 || names.indexOf(name) !== -1) {
+            benchmarks[name]()
+        }
+    }
+}
@@ -0,0 +1,649 @@
+//
+//  Structural diff and patch for nested data
+//
+//  diff(a, b) returns the operations that turn a into b, and applyPatch(a, ops) applies them,
+//  so that applyPatch(a, diff(a, b)) equals b.
+//
+//  An operation has the shape:
+//
+//    {op: 'add',     path: ['list', 2],  value: <value>}
+//    {op: 'remove',  path: ['user', 'name'], oldValue: <value>}
+//    {op: 'replace', path: ['count'],    value: <value>, oldValue: <value>}
+//    {op: 'move',    from: ['list', 0],  path: ['list', 3]}
+//
+//  The paths are arrays of keys, indexes of arrays are numbers.
+//  Because the old values are part of the operations, invertPatch can create the operations that go back from b to a.
+//
+//  Containers are classified like getType does it: arrays (empty or not) are diffed per index,
+//  objectlike values per key. Everything else (Date, Map, typed arrays, ...) is compared with equals
+//  and replaced as a whole when it's different.
+//
+//  @example
+//    const a = {name: 'bob', tags: ['x', 'y']}
+//    const b = {name: 'bob', tags: ['y', 'x', 'z'], admin: true}
+//
+//    diff(a, b)
+//      > [
+//      >   {op: 'move', from: ['tags', 0], path: ['tags', 1]},
+//      >   {op: 'add',  path: ['tags', 2], value: 'z'},
+//      >   {op: 'add',  path: ['admin'],   value: true},
+//      > ]
+//
+//  @example (RFC 6902 JSON Patch, to send to a server)
+//    diff(a, b, {jsonPatch: true})
+//      > [
+//      >   {op: 'move', from: '/tags/0', path: '/tags/1'},
+//      >   {op: 'add',  path: '/tags/2', value: 'z'},
+//      >   {op: 'add',  path: '/admin',  value: true},
+//      > ]
+//
+//  applyPatch also takes JSON Patch operations (add, remove, replace, move and test).
+//  It doesn't change its input, the containers that it changes are copied.
+//
+import { getType, equals } from '@/scripts/util/helpers.js'
+
+
+export class PatchError extends Error {
+    // op: the operation that failed, index: its index in the patch
+    constructor(op, index, reason) {
+        super('applyPatch: operation ' + index + ' (' + op.op + ' ' + formatPath(op.path) + '): ' + reason)
+        this.name = 'PatchError'
+        this.op = op
+        this.index = index
+        this.reason = reason
+    }
+}
+
+
+/**
+ * @desc
+ *   Creates the operations that turn a into b
+ *
+ * @input options <object>
+ *   - jsonPatch: return RFC 6902 JSON Patch operations, with JSON Pointer paths and without the old values.
+ *     Those can't be inverted with invertPatch
+ */
+export function diff(a, b, options) {
+    const {jsonPatch = false} = options || {}
+
+    const ops = []
+    diffValue(a, b, [], ops)
+
+    return jsonPatch
+        ? ops.map(toJSONPatchOperation)
+        : ops
+}
+
+
+/**
+ * @desc
+ *   Applies the operations to a copy of obj, and returns the copy.
+ *   Only the containers on the changed paths are copied, the rest is shared with obj.
+ *   Throws a PatchError when an operation doesn't fit the data, or when a test operation fails
+ */
+export function applyPatch(obj, ops) {
+    // the containers that were copied by this call, those can be changed in place
+    const copies = new Set()
+    let root = obj
+
+    ops.forEach((op, index) => {
+        const fail = reason => {
+            throw new PatchError(op, index, reason)
+        }
+        const path = toPathArray(op.path, fail)
+
+        switch(op.op) {
+            case 'add':
+                root = setAt(root, path, op.value, true, copies, fail)
+                break
+            case 'remove':
+                root = removeAt(root, path, copies, fail)
+                break
+            case 'replace':
+                root = setAt(root, path, op.value, false, copies, fail)
+                break
+            case 'move': {
+                const from = toPathArray(op.from, fail)
+                if(from.length < path.length && from.every((key, i) => String(key) === String(path[i]))) {
+                    fail('can not move a value into itself')
+                }
+                const value = getAt(root, from, fail)
+                root = removeAt(root, from, copies, fail)
+                root = setAt(root, path, value, true, copies, fail)
+                break
+            }
+            case 'test':
+                if(!equals(getAt(root, path, fail), op.value)) {
+                    fail('the value is not equal to the tested value')
+                }
+                break
+            default:
+                fail('unknown operation')
+        }
+    })
+
+    return root
+}
+
+
+/**
+ * @desc
+ *   Creates the operations that undo ops, so that
+ *   applyPatch(applyPatch(a, ops), invertPatch(ops)) equals a.
+ *   Needs the old values, so it only works with operations from diff without the jsonPatch option
+ */
+export function invertPatch(ops) {
+    return ops.slice().reverse().map(op => {
+        const needsOldValue = op.op === 'remove' || op.op === 'replace'
+        if(needsOldValue && !('oldValue' in op)) {
+            throw new Error('invertPatch: ' + op.op + ' ' + formatPath(op.path) + ' has no oldValue, JSON Patch operations can not be inverted')
+        }
+
+        switch(op.op) {
+            case 'add':
+                return {op: 'remove', path: op.path, oldValue: op.value}
+            case 'remove':
+                return {op: 'add', path: op.path, value: op.oldValue}
+            case 'replace':
+                return {op: 'replace', path: op.path, value: op.oldValue, oldValue: op.value}
+            case 'move':
+                return {op: 'move', from: op.path, path: op.from}
+            case 'test':
+                return op
+        }
+        throw new Error('invertPatch: unknown operation ' + op.op)
+    })
+}
+
+
+
+// 'array' and 'object' are diffed per item, the rest is a single value
+function getDiffKind(value) {
+    if(Array.isArray(value)) {
+        return 'array'
+    }
+    const type = getType(value)
+    if(type === 'objectlike' || type === 'Object' || (type === 'arraylike' && !ArrayBuffer.isView(value))) {
+        return 'object'
+    }
+    return 'value'
+}
+
+function diffValue(a, b, path, ops) {
+    const kind = getDiffKind(a)
+    if(
+        kind === 'value' ||
+        kind !== getDiffKind(b) ||
+        Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)
+    ) {
+        if(!equals(a, b)) {
+            ops.push({op: 'replace', path, value: b, oldValue: a})
+        }
+        return
+    }
+
+    if(kind === 'array') {
+        diffArray(a, b, path, ops)
+    } else {
+        diffObject(a, b, path, ops)
+    }
+}
+
+function diffObject(a, b, path, ops) {
+    const has = Object.prototype.hasOwnProperty
+
+    Object.keys(a).forEach(key => {
+        if(has.call(b, key)) {
+            diffValue(a[key], b[key], path.concat([key]), ops)
+        } else {
+            ops.push({op: 'remove', path: path.concat([key]), oldValue: a[key]})
+        }
+    })
+    Object.keys(b).forEach(key => {
+        if(!has.call(a, key)) {
+            ops.push({op: 'add', path: path.concat([key]), value: b[key]})
+        }
+    })
+}
+
+//
+//  Every item of b is one of:
+//    - kept: an equal item of a, in the longest common subsequence, so it doesn't have to move
+//    - moved: an equal item of a, that is not in the right order
+//    - changed: an item of a at the same place between the kept items, that is diffed
+//    - added: a new item
+//  The items of a that are none of these are removed.
+//
+//  The operations are created in 4 passes: removes, moves, adds and then the changes inside of the changed items.
+//  current follows the indexes of a while the operations are applied, so every path points to the right item.
+//
+function diffArray(a, b, path, ops) {
+    // aToB[i] is the index in b of item i of a, or -1
+    const aToB = a.map(() => -1)
+    const bToA = b.map(() => -1)
+    const changed = b.map(() => false)
+    const moved = b.map(() => false)
+
+    const pair = (i, j) => {
+        aToB[i] = j
+        bToA[j] = i
+    }
+
+    // the same items at the start and the end don't need the longest common subsequence
+    let start = 0
+    while(start < a.length && start < b.length && equals(a[start], b[start])) {
+        pair(start, start)
+        start++
+    }
+    let endA = a.length
+    let endB = b.length
+    while(endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+        endA--
+        endB--
+        pair(endA, endB)
+    }
+
+    longestCommonSubsequence(a, b, start, endA, start, endB).forEach(([i, j]) => pair(i, j))
+
+    // equal items that are not in the same order
+    for(let j = start; j < endB; j++) {
+        if(bToA[j] !== -1) {
+            continue
+        }
+        for(let i = start; i < endA; i++) {
+            if(aToB[i] === -1 && equals(a[i], b[j])) {
+                pair(i, j)
+                moved[j] = true
+                break
+            }
+        }
+    }
+
+    // the left over items between the same 2 kept items are paired in order, those are changed
+    const anchors = []
+    aToB.forEach((j, i) => {
+        if(j !== -1 && !moved[j]) {
+            anchors.push([i, j])
+        }
+    })
+    anchors.push([a.length, b.length])
+
+    let prevI = -1
+    let prevJ = -1
+    anchors.forEach(([anchorI, anchorJ]) => {
+        const freeA = []
+        const freeB = []
+        for(let i = prevI + 1; i < anchorI; i++) {
+            if(aToB[i] === -1) {
+                freeA.push(i)
+            }
+        }
+        for(let j = prevJ + 1; j < anchorJ; j++) {
+            if(bToA[j] === -1) {
+                freeB.push(j)
+            }
+        }
+        for(let k = 0; k < freeA.length && k < freeB.length; k++) {
+            pair(freeA[k], freeB[k])
+            changed[freeB[k]] = true
+        }
+        prevI = anchorI
+        prevJ = anchorJ
+    })
+
+    const current = a.map((item, i) => i)
+
+    // removes, from the end so the indexes of a stay valid
+    for(let i = a.length - 1; i >= 0; i--) {
+        if(aToB[i] === -1) {
+            ops.push({op: 'remove', path: path.concat([i]), oldValue: a[i]})
+            current.splice(i, 1)
+        }
+    }
+
+    // moves, every moved item goes right after the item that comes before it in b
+    const order = bToA.filter(i => i !== -1)
+    order.forEach((i, k) => {
+        if(!moved[aToB[i]]) {
+            return
+        }
+        const from = current.indexOf(i)
+        current.splice(from, 1)
+        const to = k === 0 ? 0 : current.indexOf(order[k - 1]) + 1
+        current.splice(to, 0, i)
+        if(from !== to) {
+            ops.push({op: 'move', from: path.concat([from]), path: path.concat([to])})
+        }
+    })
+
+    // adds, in the order of b, so the items before j are already in place
+    b.forEach((item, j) => {
+        if(bToA[j] === -1) {
+            ops.push({op: 'add', path: path.concat([j]), value: item})
+        }
+    })
+
+    b.forEach((item, j) => {
+        if(changed[j]) {
+            diffValue(a[bToA[j]], item, path.concat([j]), ops)
+        }
+    })
+}
+
+// returns the [i, j] pairs of equal items, in the given ranges of a and b
+function longestCommonSubsequence(a, b, startA, endA, startB, endB) {
+    const n = endA - startA
+    const m = endB - startB
+
+    // lengths[i][j] = length of the common subsequence of a[startA + i..] and b[startB + j..]
+    const lengths = []
+    for(let i = n; i >= 0; i--) {
+        lengths[i] = []
+        for(let j = m; j >= 0; j--) {
+            if(i === n || j === m) {
+                lengths[i][j] = 0
+            } else
+            if(equals(a[startA + i], b[startB + j])) {
+                lengths[i][j] = lengths[i + 1][j + 1] + 1
+            } else {
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1])
+            }
+        }
+    }
+
+    const pairs = []
+    let i = 0
+    let j = 0
+    while(i < n && j < m) {
+        if(lengths[i][j] === lengths[i + 1][j + 1] + 1 && equals(a[startA + i], b[startB + j])) {
+            pairs.push([startA + i, startB + j])
+            i++
+            j++
+        } else
+        if(lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++
+        } else {
+            j++
+        }
+    }
+    return pairs
+}
+
+
+
+// JSON Pointer (RFC 6901): every key starts with /, ~ is written as ~0 and / as ~1
+function toJSONPointer(path) {
+    return path.map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('')
+}
+
+function toJSONPatchOperation(op) {
+    const jsonOp = {op: op.op}
+    if(op.op === 'move') {
+        jsonOp.from = toJSONPointer(op.from)
+    }
+    jsonOp.path = toJSONPointer(op.path)
+    if('value' in op) {
+        jsonOp.value = op.value
+    }
+    return jsonOp
+}
+
+// the path of an operation as an array, from an array or a JSON Pointer
+function toPathArray(path, fail) {
+    if(Array.isArray(path)) {
+        return path
+    }
+    if(typeof path !== 'string' || (path !== '' && path[0] !== '/')) {
+        fail('the path has to be an array or a JSON Pointer')
+    }
+    return path === ''
+        ? []
+        : path.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+function formatPath(path) {
+    if(typeof path === 'string') {
+        return path
+    }
+    return Array.isArray(path) ? toJSONPointer(path) : String(path)
+}
+
+// turns a key of the path into an index for arrays, isAdd allows the index after the last item (and '-')
+function toKey(container, key, isAdd, fail) {
+    if(!Array.isArray(container)) {
+        return String(key)
+    }
+    if(isAdd && key === '-') {
+        return container.length
+    }
+    if(!/^(0|[1-9]\d*)$/.test(String(key))) {
+        fail('"' + key + '" is not an index of an array')
+    }
+    const index = Number(key)
+    if(index > container.length || (!isAdd && index === container.length)) {
+        fail('index ' + index + ' is out of bounds')
+    }
+    return index
+}
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object'
+}
+
+// a copy of the container, unless this applyPatch already made it
+function writable(value, copies) {
+    if(copies.has(value)) {
+        return value
+    }
+    const copy = Array.isArray(value)
+        ? value.slice()
+        : Object.assign(Object.create(Object.getPrototypeOf(value)), value)
+    copies.add(copy)
+    return copy
+}
+
+function getAt(root, path, fail) {
+    let value = root
+    path.forEach(key => {
+        if(!isContainer(value)) {
+            fail('the path goes through a value that is not an object or array')
+        }
+        key = toKey(value, key, false, fail)
+        if(!Object.prototype.hasOwnProperty.call(value, key)) {
+            fail('the path does not exist')
+        }
+        value = value[key]
+    })
+    return value
+}
+
+// copies the containers along the path, and calls change with the last container and key
+function changeAt(root, path, isAdd, copies, fail, change) {
+    if(!isContainer(root)) {
+        fail('the path goes through a value that is not an object or array')
+    }
+    const newRoot = writable(root, copies)
+    let container = newRoot
+
+    path.slice(0, -1).forEach(key => {
+        key = toKey(container, key, false, fail)
+        if(!Object.prototype.hasOwnProperty.call(container, key) || !isContainer(container[key])) {
+            fail('the path does not exist')
+        }
+        container[key] = writable(container[key], copies)
+        container = container[key]
+    })
+
+    change(container, toKey(container, path[path.length - 1], isAdd, fail))
+    return newRoot
+}
+
+function setAt(root, path, value, isAdd, copies, fail) {
+    if(path.length === 0) {
+        return value
+    }
+    return changeAt(root, path, isAdd, copies, fail, (container, key) => {
+        if(Array.isArray(container) && isAdd) {
+            container.splice(key, 0, value)
+            return
+        }
+        if(!isAdd && !Object.prototype.hasOwnProperty.call(container, key)) {
+            fail('the path does not exist')
+        }
+        container[key] = value
+    })
+}
+
+function removeAt(root, path, copies, fail) {
+    if(path.length === 0) {
+        return undefined
+    }
+    return changeAt(root, path, false, copies, fail, (container, key) => {
+        if(!Object.prototype.hasOwnProperty.call(container, key)) {
+            fail('the path does not exist')
+        }
+        if(Array.isArray(container)) {
+            container.splice(key, 1)
+        } else {
+            delete container[key]
+        }
+    })
+}
+
+
+
+export const diffTests = [
+    {
+        input: [{a: 1, b: [1, 2]}, {a: 1, b: [1, 2]}],
+        exout: [],
+    },
+    {
+        input: [{name: 'bob', age: 40}, {name: 'bob', admin: true}],
+        exout: [
+            {op: 'remove', path: ['age'], oldValue: 40},
+            {op: 'add', path: ['admin'], value: true},
+        ],
+    },
+    {
+        // nested objects are diffed per key, instead of replaced
+        input: [{user: {name: 'bob', id: 1}}, {user: {name: 'ann', id: 1}}],
+        exout: [
+            {op: 'replace', path: ['user', 'name'], value: 'ann', oldValue: 'bob'},
+        ],
+    },
+    {
+        // empty containers are containers as well
+        input: [{list: []}, {list: ['a']}],
+        exout: [
+            {op: 'add', path: ['list', 0], value: 'a'},
+        ],
+    },
+    {
+        input: [[1, 2, 3, 4, 5], [5, 1, 2, 3, 4]],
+        exout: [
+            {op: 'move', from: [4], path: [0]},
+        ],
+    },
+    {
+        input: [['a', 'b', 'c'], ['a', 'c', 'd']],
+        exout: [
+            {op: 'remove', path: [1], oldValue: 'b'},
+            {op: 'add', path: [2], value: 'd'},
+        ],
+    },
+    {
+        // the changed item is diffed, the others stay
+        input: [[{id: 1, done: false}, 'x'], [{id: 1, done: true}, 'x', 'y']],
+        exout: [
+            {op: 'add', path: [2], value: 'y'},
+            {op: 'replace', path: [0, 'done'], value: true, oldValue: false},
+        ],
+    },
+    {
+        // values that are not objectlike or arraylike are replaced as a whole
+        input: [{at: new Date(0), list: [1]}, {at: new Date(1), list: 'none'}],
+        exout: [
+            {op: 'replace', path: ['at'], value: new Date(1), oldValue: new Date(0)},
+            {op: 'replace', path: ['list'], value: 'none', oldValue: [1]},
+        ],
+    },
+    {
+        input: [1, 2],
+        exout: [
+            {op: 'replace', path: [], value: 2, oldValue: 1},
+        ],
+    },
+    {
+        // JSON Pointer escapes ~ and /
+        input: [{list: ['x', 'y'], 'a/b~c': 1}, {list: ['y', 'x'], 'a/b~c': 2}, {jsonPatch: true}],
+        exout: [
+            {op: 'move', from: '/list/0', path: '/list/1'},
+            {op: 'replace', path: '/a~1b~0c', value: 2},
+        ],
+    },
+]
+
+export const applyPatchTests = (function() {
+    const tests = [
+        {
+            input: [{list: ['x', 'y']}, [
+                {op: 'add', path: '/list/-', value: 'z'},
+                {op: 'move', from: '/list/0', path: '/list/2'},
+                {op: 'test', path: '/list/0', value: 'y'},
+            ]],
+            exout: {list: ['y', 'z', 'x']},
+        },
+        {
+            input: [{a: {b: 1}}, [{op: 'replace', path: ['a', 'b'], value: 2}]],
+            exout: {a: {b: 2}},
+        },
+        {
+            input: [{a: 1}, [{op: 'replace', path: '', value: [1]}]],
+            exout: [1],
+        },
+    ]
+
+    // applyPatch(a, diff(a, b)) gives b, and invertPatch goes back to a
+    const pairs = [
+        [{name: 'bob', tags: ['x', 'y']}, {name: 'bob', tags: ['y', 'x', 'z'], admin: true}],
+        [[1, [2, 3], {k: 4}], [{k: 5}, [3], 1, 6]],
+        [{deep: {list: [{id: 1}, {id: 2}, {id: 3}]}}, {deep: {list: [{id: 3}, {id: 1, x: true}]}}],
+        [{}, {a: []}],
+    ]
+    pairs.forEach(([a, b]) => {
+        const ops = diff(a, b)
+        tests.push(
+            {
+                input: [a, ops],
+                exout: b,
+            },
+            {
+                input: [b, invertPatch(ops)],
+                exout: a,
+            },
+            {
+                input: [a, diff(a, b, {jsonPatch: true})],
+                exout: b,
+            },
+        )
+    })
+
+    return tests
+})()
+
+export const invertPatchTests = [
+    {
+        input: [
+            {op: 'add', path: ['a'], value: 1},
+            {op: 'replace', path: ['b'], value: 2, oldValue: 3},
+            {op: 'move', from: ['list', 0], path: ['list', 2]},
+            {op: 'remove', path: ['c'], oldValue: 4},
+        ],
+        exout: [
+            {op: 'add', path: ['c'], value: 4},
+            {op: 'move', from: ['list', 2], path: ['list', 0]},
+            {op: 'replace', path: ['b'], value: 3, oldValue: 2},
+            {op: 'remove', path: ['a'], oldValue: 1},
+        ],
+    },
+]
@@ -69,18 +69,40 @@ export function arr2enum(arr) {
 //    - cleaning so you only get the data from an object
 //  
 //  
-//  @Args
-//    - typelist to disallow certain types (based on getType fn)
+//  @Options
+//    - typeList to disallow certain types (based on getType fn)
 //      ['function', 'Object', 'circular-reference']
+//    - keyList to remove keys of objects
+//      ['password']
 //    - valList to disallow certain values
 //      [null, '']
-//    - valArr used in recursive calls to self to remove circular references
-//      [ObjectPointer]
+//    - paths to remove keys at certain places, with wildcards (see parseKeyPath)
+//      ['user.session.token', 'orders[*].internalId', '**.password']
+//    - filter function called with (value, key, path) for every value inside of the input,
+//      returns 'keep' (or undefined), 'drop', or {replace: <value>} to use <value> as it is
+//      (v, k, path) => path === 'user.email' ? {replace: '<redacted>'} : 'keep'
+//    - faithful: true to make a real copy instead of a simpler version, see below
+//  
+//  The filters are checked in the order keyList, paths, filter, typeList and valList.
+//  typeList is checked again on the clone, so an object that becomes empty because
+//  all of its keys were removed, is removed as well when 'Object' is in typeList.
+//  Paths use the indexes of the input, items that were removed before don't shift them.
 //  
 //  
 //  The script turns circular references into the string: <circular-reference>
 //    To remove the object keys as well:
-//    put 'circular-reference' inside of typeList argument
+//    put 'circular-reference' inside of typeList option
+//  
+//  
+//  Faithful mode
+//    Copies the data as it is, like structuredClone:
+//      - every array and object is a new one, empty ones as well, and objects keep their prototype
+//      - Date, RegExp, Map, Set, ArrayBuffer, DataView and typed arrays are copied
+//      - circular and shared references point to the copies, instead of becoming <circular-reference>
+//      - functions are kept as they are
+//    The filters work in the same way. The keys of a Map and the indexes of a Set are part of the paths.
+//    What paths and filter remove depends on the path, so with those, shared references
+//    get their own copy at every path. Circular references still point to the copies.
 //  
 //  
 //  @example
@@ -92,8 +114,7 @@ export function arr2enum(arr) {
 //              hello: 'world',
 //              list: []
 //          },
-//          ['function', 'Array'], 
-//          [null]
+//          {typeList: ['function', 'Array'], valList: [null]}
 //      )
 //    
 //    output
@@ -103,32 +124,83 @@ export function arr2enum(arr) {
 //      typeList: ['function', 'Array'] Filters all the functions and empty arrays
 //      valList: [null] Filters all nulls
 //  
-//  
-//  Notes
-//    - you may have to call the function multiple times, 
-//      if you want to remove certain things (see comment above objTodata ())
-//  
-export function objDeepClone(input, typeList, keyList, valList, valArr) {
-    typeList = typeList || []
-    keyList = keyList || []
-    valList = valList || []
-    valArr = valArr || []
+export function objDeepClone(input, options) {
+    if(options != null && !isPlainObject(options)) {
+        throw new Error(
+            'objDeepClone: options has to be an object like {typeList, keyList, valList}, got ' + getType(options) +
+            '. typeList, keyList and valList are not separate arguments anymore'
+        )
+    }
+    const {
+        typeList = [], keyList = [], valList = [],
+        paths = [], filter, faithful = false,
+    } = options || {}
+    
+    const filters = {
+        typeList, keyList, valList, filter,
+        paths: paths.map(parseKeyPath),
+    }
+    
+    const copy = cloneChild(input, undefined, [], filters, value => faithful
+        ? cloneFaithful(value, filters, [], new Map())
+        : sanitizeValue(value, filters, [], [])
+    )
+    return copy === removed ? undefined : copy
+}
+
+// returned by the clone functions for values that are filtered out
+const removed = {}
+
+// filters a value, and clones it with cloneValue when it stays.
+// key and path are undefined and [] for the input itself, those can't be removed by key or path
+function cloneChild(value, key, path, filters, cloneValue) {
+    if(path.length > 0) {
+        if(typeof key === 'string' && filters.keyList.indexOf(key) !== -1) {
+            return removed
+        }
+        if(filters.paths.some(segments => matchKeyPath(segments, path, 0, 0))) {
+            return removed
+        }
+        if(filters.filter) {
+            const result = filters.filter(value, key, formatKeyPath(path))
+            if(result === 'drop') {
+                return removed
+            }
+            if(result !== null && typeof result === 'object' && 'replace' in result) {
+                return result.replace
+            }
+            if(result !== undefined && result !== 'keep') {
+                throw new Error('objDeepClone: filter has to return \'keep\', \'drop\' or {replace: value}, got ' + String(result))
+            }
+        }
+    }
     
-    const type = getType(input)
     if(
-        typeList.indexOf(type) !== -1 ||
-        valList.indexOf(input) !== -1
+        filters.typeList.indexOf(getType(value)) !== -1 ||
+        filters.valList.indexOf(value) !== -1
     ) {
-        return undefined
+        return removed
     }
     
-    const noCircular = typeList.indexOf('circular-reference') !== -1
+    const copy = cloneValue(value)
+    
+    // checked again, because the copy can have a different type, like an object of which all keys were removed
+    if(copy !== removed && filters.typeList.indexOf(getType(copy)) !== -1) {
+        return removed
+    }
+    return copy
+}
+
+// valArr holds the arrays and objects that have been cloned, to find circular references
+function sanitizeValue(input, filters, path, valArr) {
+    const type = getType(input)
+    const noCircular = filters.typeList.indexOf('circular-reference') !== -1
     
     // remove circular referencing
     if(type === 'arraylike' || type === 'objectlike') {
         if(valArr.indexOf(input) !== -1) {
             if(noCircular) {
-                return undefined
+                return removed
             } else {
                 return '<circular-reference>'
             }
@@ -136,24 +208,19 @@ export function objDeepClone(input, typeList, keyList, valList, valArr) {
         valArr.push(input)
     }
     
+    const cloneAt = (value, key) => {
+        const childPath = path.concat([key])
+        return cloneChild(value, key, childPath, filters, v => sanitizeValue(v, filters, childPath, valArr))
+    }
+    
     if(type == 'null') { return null } else
     if(type == 'arraylike') {
         
         const arr = []
         for(let i = 0, len = input.length; i < len; i++) {
-            const val = input[i]
-            if(
-                typeList.indexOf(getType(val)) === -1 &&
-                valList.indexOf(val) === -1
-            ) {
-                let valid = true
-                if(noCircular && valArr.indexOf(val) !== -1) {
-                    valid = false
-                }
-                
-                if(valid) {
-                    arr.push(objDeepClone(val, typeList, keyList, valList, valArr))
-                }
+            const val = cloneAt(input[i], i)
+            if(val !== removed) {
+                arr.push(val)
             }
         }
         return arr
@@ -163,7 +230,7 @@ export function objDeepClone(input, typeList, keyList, valList, valArr) {
         
         for(let k in input) {
             // go to next index if k was found inside of keyList
-            if(keyList.indexOf(k) != -1) {
+            if(filters.keyList.indexOf(k) != -1) {
                 continue
             }
             
@@ -177,18 +244,9 @@ export function objDeepClone(input, typeList, keyList, valList, valArr) {
                 v = 'error-inaccessible'
             }
             
-            if(
-                typeList.indexOf(getType(v)) === -1 &&
-                valList.indexOf(v) === -1
-            ) {
-                let valid = true
-                if(noCircular && valArr.indexOf(v) !== -1) {
-                    valid = false
-                }
-                
-                if(valid) {
-                    obj[k] = objDeepClone(v, typeList, keyList, valList, valArr)
-                }
+            const val = cloneAt(v, k)
+            if(val !== removed) {
+                setOwnKey(obj, k, val)
             }
         }
         return obj
@@ -197,6 +255,213 @@ export function objDeepClone(input, typeList, keyList, valList, valArr) {
     }
 }
 
+// like obj[k] = value, but a __proto__ key stays a key instead of changing the prototype
+function setOwnKey(obj, k, value) {
+    Object.defineProperty(obj, k, {value, writable: true, enumerable: true, configurable: true})
+}
+
+function isPlainObject(value) {
+    if(value === null || typeof value !== 'object') {
+        return false
+    }
+    const proto = Object.getPrototypeOf(value)
+    return proto === Object.prototype || proto === null
+}
+
+// copies maps the values of the input to their copies, for circular and shared references
+function cloneFaithful(input, filters, path, copies) {
+    if(input === null || typeof input !== 'object') {
+        return input
+    }
+    if(copies.has(input)) {
+        return copies.get(input)
+    }
+    
+    const copy = copyFaithful(input, filters, path, copies)
+    
+    // with paths or filter the copy of a container depends on its path, so it's only kept while
+    // it's being made, for the circular references inside of it
+    const tag = Object.prototype.toString.call(input).slice(8, -1)
+    const isLeaf = tag === 'Date' || tag === 'RegExp' || tag === 'ArrayBuffer' || ArrayBuffer.isView(input)
+    if(!isLeaf && (filters.paths.length > 0 || filters.filter)) {
+        copies.delete(input)
+    }
+    return copy
+}
+
+function copyFaithful(input, filters, path, copies) {
+    const clone = value => cloneFaithful(value, filters, path, copies)
+    const cloneAt = (value, key) => {
+        const childPath = path.concat([key])
+        return cloneChild(value, key, childPath, filters, v => cloneFaithful(v, filters, childPath, copies))
+    }
+    const tag = Object.prototype.toString.call(input).slice(8, -1)
+    
+    if(Array.isArray(input)) {
+        const arr = []
+        copies.set(input, arr)
+        for(let i = 0, len = input.length; i < len; i++) {
+            if(!(i in input)) {
+                // keep the holes of sparse arrays
+                arr.length++
+                continue
+            }
+            const val = cloneAt(input[i], i)
+            if(val !== removed) {
+                arr.push(val)
+            }
+        }
+        return arr
+    }
+    
+    if(tag === 'Date') {
+        const date = new Date(input.getTime())
+        copies.set(input, date)
+        return date
+    }
+    if(tag === 'RegExp') {
+        const regex = new RegExp(input.source, input.flags)
+        regex.lastIndex = input.lastIndex
+        copies.set(input, regex)
+        return regex
+    }
+    if(tag === 'ArrayBuffer') {
+        const buffer = input.slice(0)
+        copies.set(input, buffer)
+        return buffer
+    }
+    if(ArrayBuffer.isView(input)) {
+        // views on the same buffer stay on the same (copied) buffer
+        const length = tag === 'DataView' ? input.byteLength : input.length
+        const view = new input.constructor(clone(input.buffer), input.byteOffset, length)
+        copies.set(input, view)
+        return view
+    }
+    if(tag === 'Map') {
+        const map = new Map()
+        copies.set(input, map)
+        // the keys are part of the path, like the keys of objects
+        input.forEach((v, k) => {
+            const val = cloneAt(v, k)
+            if(val !== removed) {
+                map.set(clone(k), val)
+            }
+        })
+        return map
+    }
+    if(tag === 'Set') {
+        const set = new Set()
+        copies.set(input, set)
+        // the values get an index in the path, like the items of arrays
+        let i = 0
+        input.forEach(v => {
+            const val = cloneAt(v, i++)
+            if(val !== removed) {
+                set.add(val)
+            }
+        })
+        return set
+    }
+    
+    const obj = Object.create(Object.getPrototypeOf(input))
+    copies.set(input, obj)
+    if(input instanceof Error) {
+        // message and stack are not enumerable
+        Object.defineProperties(obj, {
+            message: {value: input.message, writable: true, configurable: true},
+            stack: {value: input.stack, writable: true, configurable: true},
+        })
+    }
+    Object.keys(input).forEach(k => {
+        const val = cloneAt(input[k], k)
+        if(val !== removed) {
+            setOwnKey(obj, k, val)
+        }
+    })
+    return obj
+}
+
+//
+//  Key paths, written like the paths in the errors of JSONCheck:
+//    user.session.token   list[0].name   meta["content-type"]
+//  with wildcards:
+//    *     any key or index
+//    [*]   any index
+//    **    any number of keys, including none
+//
+//  parseKeyPath('orders[*].*.internalId')
+//    > [{type: 'key', key: 'orders'}, {type: 'anyIndex'}, {type: 'any'}, {type: 'key', key: 'internalId'}]
+//
+function parseKeyPath(pattern) {
+    const segments = []
+    // .key, .* or .** (without the . at the start), or [index], [*] or ["key"]
+    const tokenRegex = /(?:^|\.)(\*\*|\*|[^.[\]"]+)|\[(\*|\d+|"(?:[^"\\]|\\.)*")\]/y
+    
+    while(tokenRegex.lastIndex < pattern.length) {
+        const start = tokenRegex.lastIndex
+        const match = tokenRegex.exec(pattern)
+        if(!match) {
+            throw new Error('objDeepClone: invalid path ' + JSON.stringify(pattern) + ' at character ' + start)
+        }
+        
+        const token = match[1] !== undefined ? match[1] : match[2]
+        if(token === '**') {
+            segments.push({type: 'deep'})
+        } else
+        if(token === '*') {
+            segments.push({type: match[1] !== undefined ? 'any' : 'anyIndex'})
+        } else
+        if(token[0] === '"') {
+            segments.push({type: 'key', key: JSON.parse(token)})
+        } else {
+            segments.push({type: 'key', key: token})
+        }
+    }
+    
+    return segments
+}
+
+// path is an array of keys, with numbers for the indexes of arrays
+function matchKeyPath(segments, path, segmentIndex, pathIndex) {
+    if(segmentIndex === segments.length) {
+        return pathIndex === path.length
+    }
+    
+    const segment = segments[segmentIndex]
+    if(segment.type === 'deep') {
+        for(let i = pathIndex; i <= path.length; i++) {
+            if(matchKeyPath(segments, path, segmentIndex + 1, i)) {
+                return true
+            }
+        }
+        return false
+    }
+    
+    if(pathIndex === path.length) {
+        return false
+    }
+    const key = path[pathIndex]
+    const matches = (
+        segment.type === 'any' ||
+        (segment.type === 'anyIndex' && typeof key === 'number') ||
+        (segment.type === 'key' && segment.key === String(key))
+    )
+    return matches && matchKeyPath(segments, path, segmentIndex + 1, pathIndex + 1)
+}
+
+// [ 'list', 0, 'name' ] > 'list[0].name'
+function formatKeyPath(path) {
+    return path.reduce((str, key) => {
+        if(typeof key !== 'string') {
+            return str + '[' + String(key) + ']'
+        }
+        if(/^[A-Za-z_$][\w$]*$/.test(key)) {
+            return str ? str + '.' + key : key
+        }
+        return str + '[' + JSON.stringify(key) + ']'
+    }, '')
+}
+
 // @todo write more tests
 export const objDeepCloneTests = (function(){
     
@@ -219,6 +484,155 @@ export const objDeepCloneTests = (function(){
         tests.push(test)
     }
     
+    {
+        const test = {
+            input: [{hello: 'world', list: [null, 1], fn: function(){}}, {typeList: ['function'], valList: [null]}],
+            exout: {hello: 'world', list: [1]},
+        }
+        tests.push(test)
+    }
+    
+    // faithful mode
+    {
+        const node = {name: 'root', children: [], meta: {}}
+        node.children.push({name: 'child', parent: node})
+        tests.push({
+            input: [node, {faithful: true}],
+            exout: node,
+            opts: {noReference: true},
+        })
+    }
+    
+    {
+        class Point {
+            constructor(x, y) {
+                this.x = x
+                this.y = y
+            }
+        }
+        const shared = new Uint8Array([1, 2, 3])
+        const value = {
+            empty: [],
+            at: new Date(Date.UTC(2017, 1, 3)),
+            pattern: /a+/gi,
+            map: new Map([[1, {a: true}]]),
+            set: new Set(['x', [1]]),
+            bytes: shared,
+            point: new Point(1, 2),
+        }
+        tests.push({
+            input: [value, {faithful: true}],
+            exout: value,
+            opts: {noReference: true, strictPrototype: true},
+        })
+        tests.push({
+            input: [value, {faithful: true, keyList: ['point', 'set']}],
+            exout: {
+                empty: [],
+                at: new Date(Date.UTC(2017, 1, 3)),
+                pattern: /a+/gi,
+                map: new Map([[1, {a: true}]]),
+                bytes: new Uint8Array([1, 2, 3]),
+            },
+        })
+    }
+    
+    {
+        // a __proto__ key is copied as a key, in both modes
+        const value = JSON.parse('{"__proto__": {"admin": true}, "name": "bob"}')
+        tests.push(
+            {
+                input: [value, {faithful: true}],
+                use: copy => [Object.getPrototypeOf(copy) === Object.prototype, Object.keys(copy), copy.admin],
+                exout: [true, ['__proto__', 'name'], undefined],
+            },
+            {
+                input: value,
+                use: copy => [Object.getPrototypeOf(copy) === Object.prototype, Object.keys(copy), copy.admin],
+                exout: [true, ['__proto__', 'name'], undefined],
+            },
+        )
+    }
+    
+    {
+        // the empty containers are copies as well
+        const test = {
+            input: [[], {faithful: true}],
+            exout: [],
+            opts: {noReference: true},
+        }
+        tests.push(test)
+    }
+    
+    // paths and filter
+    {
+        const data = {
+            user: {name: 'bob', session: {token: 't', id: 1}},
+            orders: [
+                {id: 1, internalId: 'a', item: {internalId: 'b', n: 2}},
+                {id: 2, internalId: 'c'},
+            ],
+            'content-type': {internalId: 'd'},
+        }
+        tests.push({
+            input: [data, {paths: ['user.session.token', 'orders[*].internalId']}],
+            exout: {
+                user: {name: 'bob', session: {id: 1}},
+                orders: [
+                    {id: 1, item: {internalId: 'b', n: 2}},
+                    {id: 2},
+                ],
+                'content-type': {internalId: 'd'},
+            },
+        })
+        tests.push({
+            input: [data, {paths: ['orders.**.internalId', '["content-type"]', 'user.*'], faithful: true}],
+            exout: {
+                user: {},
+                orders: [
+                    {id: 1, item: {n: 2}},
+                    {id: 2},
+                ],
+            },
+        })
+        tests.push({
+            input: [data, {filter: (value, key, path) => {
+                if(key === 'name') {
+                    return {replace: '<redacted>'}
+                }
+                if(path === 'orders[0].item' || key === 'content-type') {
+                    return 'drop'
+                }
+            }}],
+            exout: {
+                user: {name: '<redacted>', session: {token: 't', id: 1}},
+                orders: [
+                    {id: 1, internalId: 'a'},
+                    {id: 2, internalId: 'c'},
+                ],
+            },
+        })
+        tests.push({
+            // shared references get their own copy at every path, so what is removed at one path stays at the other
+            input: [
+                (function() {
+                    const session = {token: 't', id: 1}
+                    return {a: session, b: session}
+                })(),
+                {faithful: true, paths: ['a.token']},
+            ],
+            exout: {a: {id: 1}, b: {token: 't', id: 1}},
+        })
+        tests.push({
+            // session is empty after its keys are removed, so it's removed as well
+            input: [data, {keyList: ['token', 'id', 'internalId', 'item'], typeList: ['Object']}],
+            exout: {
+                user: {name: 'bob'},
+                orders: [],
+            },
+        })
+    }
+    
     return tests
 })()
 
@@ -246,6 +660,9 @@ export const objDeepCloneTests = (function(){
 //     - {} = "Object" (empty object)
 //     - /[0-9A-Z]/ = "RegExp"
 // 
+// The answer for containers depends on their content, [] is "Array" but [1] is "arraylike".
+// getStableType gives the same answer for both, and describeType gives more details.
+// 
 export function getType(input) {
     var simpleType = typeof input
     if(simpleType !== 'object') { return simpleType }
@@ -327,38 +744,401 @@ export const getTypeTests = [
 
 
 
-//
-// I wrote this for a part in the possible solution for a bug, but it didn't fix it
+// The same answers as getType, but they only depend on what kind of value it is, not on its content:
 // 
-// removes key from an object structure, removes it from arrays and objects and all the sub structures
+// From typeof:
+//   - "undefined", "boolean", "number", "bigint", "string", "symbol", "function"
 // 
-export function recursiveRemoveKey(input, key) {
+// From custom:
+//   - "null"
+//   - "arraylike"
+//       arrays (empty and sparse ones as well), typed arrays, arguments,
+//       and other objects with a length and an item at length - 1, like a NodeList
+//   - "objectlike"
+//       plain objects and instances of classes, with or without keys
+// 
+// from Object.prototype.toString.call, for the other objects:
+//   - "Date", "RegExp", "Map", "Set", "Error", "ArrayBuffer", "DataView", "Promise", ...
+// 
+export function getStableType(input) {
+    const simpleType = typeof input
+    if(simpleType !== 'object') { return simpleType }
     
-    const type = getType(input)
-    console.warn('rRk', input, key, type)
+    if(input === null) { return 'null' }
     
-    if(type == 'arraylike' || type == 'objectlike' || type == 'Array' || type == 'Object') {
-        if(input[key] != undefined) {
-            delete input[key]
-        }
+    if(isArrayLike(input)) { return 'arraylike' }
+    
+    const tag = Object.prototype.toString.call(input).slice(8, -1)
+    return tag === 'Object' ? 'objectlike' : tag
+}
+
+function isArrayLike(input) {
+    if(Array.isArray(input) || (ArrayBuffer.isView(input) && !(input instanceof DataView))) {
+        return true
+    }
+    const tag = Object.prototype.toString.call(input).slice(8, -1)
+    if(tag === 'Arguments') {
+        return true
     }
+    // ducktyping, the same check as getType. Empty plain objects with a length of 0 stay objectlike
+    const length = input.length
+    return (
+        Number.isInteger(length) && length >= 0 &&
+        (length > 0 ? (length - 1) in input : tag !== 'Object')
+    )
+}
+
+export const getStableTypeTests = [
+    {
+        input: [],
+        exout: 'arraylike',
+    },
+    {
+        input: [1, 2, 3],
+        exout: 'arraylike',
+    },
+    {
+        // sparse, with an empty last slot
+        input: [1, , ],
+        exout: 'arraylike',
+    },
+    {
+        input: new Uint8Array(0),
+        exout: 'arraylike',
+    },
+    {
+        input: {},
+        exout: 'objectlike',
+    },
+    {
+        input: {key: 24, length: 4},
+        exout: 'objectlike',
+    },
+    {
+        input: new (class Empty {})(),
+        exout: 'objectlike',
+    },
+    {
+        input: Object.create(null),
+        exout: 'objectlike',
+    },
+    {
+        input: new Map(),
+        exout: 'Map',
+    },
+    {
+        input: new Map([[1, 2]]),
+        exout: 'Map',
+    },
+    {
+        input: new Date(),
+        exout: 'Date',
+    },
+    {
+        input: null,
+        exout: 'null',
+    },
+    {
+        input: 10n,
+        exout: 'bigint',
+    },
+]
+
+
+/**
+ * @desc
+ *   Describes a value in more detail than getType
+ *
+ * @output <object>
+ *   ex describeType([1, 2])
+ *   {
+ *     type: 'arraylike',         the result of getStableType
+ *     category: 'container',     'primitive', 'function', 'container' (arraylike, objectlike, Map, Set)
+ *                                or 'object' (the other objects, like Date and RegExp)
+ *     tag: 'Array',              from Object.prototype.toString
+ *     constructorName: 'Array',  null when there is no constructor, like Object.create(null) or null
+ *     isPlainObject: false,      an object with Object.prototype or null as prototype
+ *     isIterable: true,          has a Symbol.iterator, strings as well
+ *     isTypedArray: false,
+ *     isArrayLike: true,
+ *     isEmpty: false,            no items, entries or (enumerable) keys, or an empty string.
+ *                                Always false for the other values
+ *   }
+ */
+export function describeType(input) {
+    const type = getStableType(input)
+    const tag = Object.prototype.toString.call(input).slice(8, -1)
+    const isObject = input !== null && (typeof input === 'object' || typeof input === 'function')
+    const prototype = isObject ? Object.getPrototypeOf(input) : undefined
     
-    if(type == 'arraylike') {
-        for(let i = 0; i < input.length; i++) {
-            const item = input[i]
-            console.log(item)
-            recursiveRemoveKey(item, key)
+    let category = 'object'
+    if(!isObject) {
+        category = 'primitive'
+    } else
+    if(type === 'function') {
+        category = 'function'
+    } else
+    if(type === 'arraylike' || type === 'objectlike' || type === 'Map' || type === 'Set') {
+        category = 'container'
+    }
+    
+    let constructorName = null
+    if(input != null) {
+        const constructor = isObject
+            ? prototype && prototype.constructor
+            : Object(input).constructor
+        if(typeof constructor === 'function') {
+            constructorName = constructor.name
         }
+    }
+    
+    let isEmpty = false
+    if(type === 'string' || type === 'arraylike') {
+        isEmpty = input.length === 0
     } else
-    if(type == 'objectlike') {
+    if(type === 'Map' || type === 'Set') {
+        isEmpty = input.size === 0
+    } else
+    if(type === 'objectlike') {
+        isEmpty = true
         for(let k in input) {
-            const item = input[k]
-            // console.log('t', item, k)
-            recursiveRemoveKey(item, key)
+            isEmpty = false
+            break
         }
     }
+    
+    return {
+        type,
+        category,
+        tag,
+        constructorName,
+        isPlainObject: isPlainObject(input),
+        isIterable: input != null && typeof input[Symbol.iterator] === 'function',
+        isTypedArray: ArrayBuffer.isView(input) && !(input instanceof DataView),
+        isArrayLike: type === 'arraylike',
+        isEmpty,
+    }
 }
 
+export const describeTypeTests = [
+    {
+        // a plain object that looks like an array is still a plain object
+        input: {length: 2, 0: 'a', 1: 'b'},
+        exout: {
+            type: 'arraylike',
+            category: 'container',
+            tag: 'Object',
+            constructorName: 'Object',
+            isPlainObject: true,
+            isIterable: false,
+            isTypedArray: false,
+            isArrayLike: true,
+            isEmpty: false,
+        },
+    },
+    {
+        input: [],
+        exout: {
+            type: 'arraylike',
+            category: 'container',
+            tag: 'Array',
+            constructorName: 'Array',
+            isPlainObject: false,
+            isIterable: true,
+            isTypedArray: false,
+            isArrayLike: true,
+            isEmpty: true,
+        },
+    },
+    {
+        input: {a: 1},
+        exout: {
+            type: 'objectlike',
+            category: 'container',
+            tag: 'Object',
+            constructorName: 'Object',
+            isPlainObject: true,
+            isIterable: false,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: false,
+        },
+    },
+    {
+        input: new (class Point {})(),
+        exout: {
+            type: 'objectlike',
+            category: 'container',
+            tag: 'Object',
+            constructorName: 'Point',
+            isPlainObject: false,
+            isIterable: false,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: true,
+        },
+    },
+    {
+        input: Object.create(null),
+        exout: {
+            type: 'objectlike',
+            category: 'container',
+            tag: 'Object',
+            constructorName: null,
+            isPlainObject: true,
+            isIterable: false,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: true,
+        },
+    },
+    {
+        input: new Float64Array([0.5]),
+        exout: {
+            type: 'arraylike',
+            category: 'container',
+            tag: 'Float64Array',
+            constructorName: 'Float64Array',
+            isPlainObject: false,
+            isIterable: true,
+            isTypedArray: true,
+            isArrayLike: true,
+            isEmpty: false,
+        },
+    },
+    {
+        input: new Set(),
+        exout: {
+            type: 'Set',
+            category: 'container',
+            tag: 'Set',
+            constructorName: 'Set',
+            isPlainObject: false,
+            isIterable: true,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: true,
+        },
+    },
+    {
+        input: new Date(0),
+        exout: {
+            type: 'Date',
+            category: 'object',
+            tag: 'Date',
+            constructorName: 'Date',
+            isPlainObject: false,
+            isIterable: false,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: false,
+        },
+    },
+    {
+        input: '',
+        exout: {
+            type: 'string',
+            category: 'primitive',
+            tag: 'String',
+            constructorName: 'String',
+            isPlainObject: false,
+            isIterable: true,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: true,
+        },
+    },
+    {
+        input: null,
+        exout: {
+            type: 'null',
+            category: 'primitive',
+            tag: 'Null',
+            constructorName: null,
+            isPlainObject: false,
+            isIterable: false,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: false,
+        },
+    },
+    {
+        input: function noop(){},
+        exout: {
+            type: 'function',
+            category: 'function',
+            tag: 'Function',
+            constructorName: 'Function',
+            isPlainObject: false,
+            isIterable: false,
+            isTypedArray: false,
+            isArrayLike: false,
+            isEmpty: false,
+        },
+    },
+]
+
+
+
+//
+// removes key from an object structure, removes it from arrays and objects and all the sub structures
+// 
+// changes the input, and returns it. removeKeys of traverse.js does the same on a copy
+// 
+export function recursiveRemoveKey(input, key) {
+    // circular references are only walked into once
+    const seen = new Set()
+    const remove = value => {
+        const type = Array.isArray(value) ? 'Array' : getStableType(value)
+        if(seen.has(value) || (type !== 'Array' && type !== 'objectlike' && type !== 'Map' && type !== 'Set')) {
+            return
+        }
+        seen.add(value)
+        
+        if(type === 'Map' || type === 'Set') {
+            value.forEach(remove)
+            return
+        }
+        if(Object.prototype.hasOwnProperty.call(value, key)) {
+            delete value[key]
+        }
+        Object.keys(value).forEach(k => remove(value[k]))
+    }
+    remove(input)
+    return input
+}
+
+export const recursiveRemoveKeyTests = (function(){
+    
+    const tests = [
+        {
+            input: [{id: 1, list: [{id: 2, name: 'a'}, [{id: 3}]], empty: {}}, 'id'],
+            exout: {list: [{name: 'a'}, [{}]], empty: {}},
+        },
+        {
+            // the values of Maps and Sets are walked into, their keys stay
+            input: [new Map([['id', new Set([{id: 1, ok: true}])]]), 'id'],
+            exout: new Map([['id', new Set([{ok: true}])]]),
+        },
+    ]
+    
+    // circular structures
+    {
+        const node = {name: 'root', secret: 1, children: []}
+        node.children.push({name: 'child', secret: 2, parent: node})
+        
+        const expected = {name: 'root', children: []}
+        expected.children.push({name: 'child', parent: expected})
+        
+        tests.push({
+            input: [node, 'secret'],
+            exout: expected,
+        })
+    }
+    
+    return tests
+})()
+
 
 //
 // Create a unique id, based on time and random number
@@ -394,45 +1174,242 @@ export function isNumberBetween(num, min, max) {
 * differences to a === b
 *   - equals(NaN,NaN) > true
 *   - equals([{b:[1,2,3],k:24}],[{k:24,b:[1,2,3]}]) > true
+*   - equals([], []) > true
+*   - equals({k:1}, {k:1, extra:2}) > false, both sides need the same keys
+*   - Date, RegExp, Map, Set, ArrayBuffer, DataView and typed arrays are compared by value
+*   - boxed primitives, like new Number(1), are compared by their value, and Errors by their name and message,
+*     both with their own keys as well
+*   - circular structures are equal when they have the same shape
+* 
+* Map keys and Set values are matched by reference first,
+* the ones that don't match are compared deeply with the remaining entries.
+* 
+* @input options <object>
+*   - noReference: a and b may not be the same reference (only for a and b themselves, not for the values inside)
+*   - strictPrototype: objects need the same prototype, so an instance of a class is not equal to a plain object
+*   - sameReferences: shared and circular references need to be at the same places,
+*     so [x, x] is not equal to [x, copyOfX]
 */
-export function equals(a, b, {noReference = false} = {}) {
+export function equals(a, b, options) {
+    const {noReference = false, strictPrototype = false, sameReferences = false} = options || {}
+    
+    // do opts based checks
+    if(noReference && a === b) {
+        return false
+    }
+    
+    const pairs = sameReferences ? {a: new Map(), b: new Map(), added: []} : null
+    return deepEquals(a, b, strictPrototype, pairs, [], [])
+}
+
+// aStack and bStack hold the objects that are being compared right now, to detect cycles.
+// pairs (for sameReferences) maps the objects of a to the objects of b and back, every object can only have 1 partner.
+// pairs.added lists the objects of a in the order they were paired, so a failed try can be undone
+function deepEquals(a, b, strictPrototype, pairs, aStack, bStack) {
+    if(pairs && isObject(a) && isObject(b)) {
+        if(pairs.a.has(a) || pairs.b.has(b)) {
+            return pairs.a.get(a) === b && pairs.b.get(b) === a
+        }
+        pairs.a.set(a, b)
+        pairs.b.set(b, a)
+        pairs.added.push(a)
+    }
+    
+    // with pairs the same object is compared as well, to pair the objects inside of it
+    if(a === b && !(pairs && isObject(a))) {
+        return true
+    }
     // NaN check
-    if(a !== a) {
-        if(b !== b) {
+    if(a !== a && b !== b) {
+        return true
+    }
+    if(
+        a === null || b === null ||
+        typeof a !== 'object' || typeof b !== 'object'
+    ) {
+        return false
+    }
+    
+    const kind = getEqualsKind(a)
+    if(kind !== getEqualsKind(b)) {
+        return false
+    }
+    if(strictPrototype && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+        return false
+    }
+    
+    // both are already being compared higher up, equal when they were paired there as well
+    const stackIndex = aStack.indexOf(a)
+    if(stackIndex !== -1) {
+        return bStack[stackIndex] === b
+    }
+    
+    const compare = (x, y) => deepEquals(x, y, strictPrototype, pairs, aStack, bStack)
+    // for the entries of Maps and Sets that are tried, a failed try may not leave pairs behind
+    const tryCompare = (x, y) => {
+        if(!pairs) {
+            return compare(x, y)
+        }
+        const mark = pairs.added.length
+        if(compare(x, y)) {
             return true
         }
-    }
-    // do opts based checks
-    if(noReference && a === b) {
+        while(pairs.added.length > mark) {
+            const pairedA = pairs.added.pop()
+            pairs.b.delete(pairs.a.get(pairedA))
+            pairs.a.delete(pairedA)
+        }
         return false
     }
     
-    // Array compare
-    if(getType(a) === 'arraylike' && getType(b) === 'arraylike') {
-        
-        if(a.length !== b.length) {
+    aStack.push(a)
+    bStack.push(b)
+    let result
+    switch(kind) {
+        case 'Date':
+            result = compare(a.getTime(), b.getTime())
+            break
+        case 'RegExp':
+            result = a.source === b.source && a.flags === b.flags
+            break
+        case 'Boxed':
+            result = compare(a.valueOf(), b.valueOf()) && objectEquals(a, b, compare)
+            break
+        case 'Error':
+            result = a.name === b.name && a.message === b.message && objectEquals(a, b, compare)
+            break
+        case 'ArrayBuffer':
+            result = bytesEqual(new Uint8Array(a), new Uint8Array(b))
+            break
+        case 'DataView':
+            result = bytesEqual(
+                new Uint8Array(a.buffer, a.byteOffset, a.byteLength),
+                new Uint8Array(b.buffer, b.byteOffset, b.byteLength)
+            )
+            break
+        case 'TypedArray':
+            result = a.constructor === b.constructor && arrayEquals(a, b, compare)
+            break
+        case 'Array':
+            result = arrayEquals(a, b, compare)
+            break
+        case 'Map':
+            result = a.size === b.size && entriesEqual(
+                Array.from(a), Array.from(b),
+                entry => entry[0],
+                (entryA, entryB) => tryCompare(entryA[1], entryB[1]),
+                (entryA, entryB) => tryCompare(entryA, entryB)
+            )
+            break
+        case 'Set':
+            result = a.size === b.size && entriesEqual(
+                Array.from(a), Array.from(b),
+                value => value,
+                () => true,
+                tryCompare
+            )
+            break
+        default:
+            result = objectEquals(a, b, compare)
+    }
+    aStack.pop()
+    bStack.pop()
+    
+    return result
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object'
+}
+
+// the kinds that need their own comparison, everything else is compared by its keys
+function getEqualsKind(value) {
+    if(Array.isArray(value)) {
+        return 'Array'
+    }
+    if(ArrayBuffer.isView(value)) {
+        return value instanceof DataView ? 'DataView' : 'TypedArray'
+    }
+    const tag = Object.prototype.toString.call(value).slice(8, -1)
+    switch(tag) {
+        case 'Date':
+        case 'RegExp':
+        case 'Map':
+        case 'Set':
+        case 'ArrayBuffer':
+        case 'Error':
+            return tag
+        case 'Number':
+        case 'String':
+        case 'Boolean':
+        case 'BigInt':
+        case 'Symbol':
+            return 'Boxed'
+    }
+    return 'Object'
+}
+
+function arrayEquals(a, b, compare) {
+    if(a.length !== b.length) {
+        return false
+    }
+    for(let i = 0; i < a.length; i++) {
+        if(!compare(a[i], b[i])) {
             return false
         }
-        
-        for(let i = 0; i < a.length; i++) {
-            if(!equals(a[i], b[i])) {
-                return false
-            }
+    }
+    return true
+}
+
+function objectEquals(a, b, compare) {
+    const keysA = Object.keys(a)
+    if(keysA.length !== Object.keys(b).length) {
+        return false
+    }
+    for(let i = 0; i < keysA.length; i++) {
+        const key = keysA[i]
+        if(!Object.prototype.hasOwnProperty.call(b, key) || !compare(a[key], b[key])) {
+            return false
         }
-        return true
     }
-    
-    // Object compare
-    if(getType(a) === 'objectlike' && getType(b) === 'objectlike') {
-        for(let key in a) {
-            if(!equals(a[key], b[key])) {
-                return false
-            }
+    return true
+}
+
+function bytesEqual(a, b) {
+    if(a.length !== b.length) {
+        return false
+    }
+    for(let i = 0; i < a.length; i++) {
+        if(a[i] !== b[i]) {
+            return false
         }
-        return true
     }
+    return true
+}
+
+// every entry of a needs its own entry of b, found by its key first, otherwise by a deep compare
+function entriesEqual(entriesA, entriesB, getKey, isSame, compare) {
+    const keysB = entriesB.map(getKey)
+    const used = entriesB.map(() => false)
+    const rest = []
+    
+    entriesA.forEach(entry => {
+        const index = keysB.indexOf(getKey(entry))
+        if(index !== -1 && isSame(entry, entriesB[index])) {
+            used[index] = true
+        } else {
+            rest.push(entry)
+        }
+    })
     
-    return a === b
+    return rest.every(entry => {
+        const index = entriesB.findIndex((entryB, i) => !used[i] && compare(entry, entryB))
+        if(index === -1) {
+            return false
+        }
+        used[index] = true
+        return true
+    })
 }
 
 export const equalsTests = (function(){
@@ -503,6 +1480,245 @@ export const equalsTests = (function(){
         tests.push(test)
     }
     
+    // both sides need the same keys
+    tests.push(
+        {
+            input: [{k: 1}, {k: 1, extra: 2}],
+            exout: false
+        },
+        {
+            input: [{k: 1, extra: 2}, {k: 1}],
+            exout: false
+        },
+        {
+            input: [{k: undefined}, {}],
+            exout: false
+        },
+    )
+    
+    // empty containers
+    tests.push(
+        {
+            input: [[], []],
+            exout: true
+        },
+        {
+            input: [{}, {}],
+            exout: true
+        },
+        {
+            input: [[], {}],
+            exout: false
+        },
+        {
+            input: [{list: [], obj: {}}, {list: [], obj: {}}],
+            exout: true
+        },
+        {
+            // an arraylike object is not an array
+            input: [{0: 'a', length: 1}, ['a']],
+            exout: false
+        },
+    )
+    
+    // built-ins are compared by value
+    tests.push(
+        {
+            input: [new Date(Date.UTC(2017, 1, 3)), new Date(Date.UTC(2017, 1, 3))],
+            exout: true
+        },
+        {
+            input: [new Date(0), new Date(1)],
+            exout: false
+        },
+        {
+            input: [new Date(NaN), new Date(NaN)],
+            exout: true
+        },
+        {
+            input: [/a+/gi, /a+/gi],
+            exout: true
+        },
+        {
+            input: [/a+/g, /a+/i],
+            exout: false
+        },
+        {
+            input: [new Map([[1, {a: 1}], ['k', []]]), new Map([['k', []], [1, {a: 1}]])],
+            exout: true
+        },
+        {
+            input: [new Map([[1, 'one']]), new Map([['1', 'one']])],
+            exout: false
+        },
+        {
+            // object keys that are not the same reference are compared deeply
+            input: [new Map([[{id: 1}, 'a'], [{id: 2}, 'b']]), new Map([[{id: 2}, 'b'], [{id: 1}, 'a']])],
+            exout: true
+        },
+        {
+            input: [new Set([1, 'a', [2]]), new Set([[2], 'a', 1])],
+            exout: true
+        },
+        {
+            input: [new Set([1, 2]), new Set([1, 3])],
+            exout: false
+        },
+        {
+            input: [new Float64Array([NaN, 0.5]), new Float64Array([NaN, 0.5])],
+            exout: true
+        },
+        {
+            input: [new Uint8Array([1, 2]), new Int8Array([1, 2])],
+            exout: false
+        },
+        {
+            input: [new Uint8Array([1, 2]), [1, 2]],
+            exout: false
+        },
+        {
+            input: [new Uint8Array([1, 2]).buffer, new Uint8Array([1, 2]).buffer],
+            exout: true
+        },
+        {
+            input: [new Uint8Array([1, 2]).buffer, new Uint8Array([1, 3]).buffer],
+            exout: false
+        },
+    )
+    
+    // circular structures
+    {
+        const makeNode = name => {
+            const node = {name, children: []}
+            node.children.push({name: 'child', parent: node})
+            return node
+        }
+        tests.push(
+            {
+                input: [makeNode('root'), makeNode('root')],
+                exout: true
+            },
+            {
+                input: [makeNode('root'), makeNode('other')],
+                exout: false
+            },
+        )
+        
+        const a = []
+        a.push(a)
+        const b = []
+        b.push(b)
+        tests.push({
+            input: [a, b],
+            exout: true
+        })
+    }
+    
+    // shared references
+    {
+        const x = {k: 1}
+        tests.push(
+            {
+                input: [[x, x], [{k: 1}, {k: 1}]],
+                exout: true
+            },
+            {
+                input: [[x, x], [{k: 1}, {k: 1}], {sameReferences: true}],
+                exout: false
+            },
+            {
+                input: [[{k: 1}, {k: 1}], [x, x], {sameReferences: true}],
+                exout: false
+            },
+            {
+                input: [[x, x], [x, x], {sameReferences: true}],
+                exout: true
+            },
+            {
+                input: [new Set([x, [x]]), new Set([[x], x]), {sameReferences: true}],
+                exout: true
+            },
+        )
+        
+        const makeNode = () => {
+            const node = {children: []}
+            node.children.push({parent: node})
+            return node
+        }
+        tests.push({
+            input: [makeNode(), makeNode(), {sameReferences: true}],
+            exout: true
+        })
+    }
+    
+    // boxed primitives and errors
+    tests.push(
+        {
+            input: [new Number(1), new Number(2)],
+            exout: false
+        },
+        {
+            input: [new Number(NaN), new Number(NaN)],
+            exout: true
+        },
+        {
+            input: [new String('a'), new String('a')],
+            exout: true
+        },
+        {
+            input: [new String('1'), new Number(1)],
+            exout: false
+        },
+        {
+            input: [new Boolean(false), new Boolean(true)],
+            exout: false
+        },
+        {
+            input: [Object(1n), Object(1n)],
+            exout: true
+        },
+        {
+            input: [new Error('a'), new Error('b')],
+            exout: false
+        },
+        {
+            input: [new Error('a'), new TypeError('a')],
+            exout: false
+        },
+        {
+            input: [new Error('a'), new Error('a')],
+            exout: true
+        },
+        {
+            input: [Object.assign(new Error('a'), {code: 1}), Object.assign(new Error('a'), {code: 2})],
+            exout: false
+        },
+    )
+    
+    // prototypes
+    {
+        class Point {
+            constructor(x, y) {
+                this.x = x
+                this.y = y
+            }
+        }
+        tests.push(
+            {
+                input: [new Point(1, 2), {x: 1, y: 2}],
+                exout: true
+            },
+            {
+                input: [new Point(1, 2), {x: 1, y: 2}, {strictPrototype: true}],
+                exout: false
+            },
+            {
+                input: [new Point(1, 2), new Point(1, 2), {strictPrototype: true}],
+                exout: true
+            },
+        )
+    }
+    
     return tests
 })()
 
@@ -0,0 +1,486 @@
+/*
+* Generates random sample data from a JSONCheck validator, for fixtures and property tests
+*
+* Every generated value is valid for the validator, and the same seed gives the same value.
+*
+*     generate({
+*         method: '"paypal"',
+*         'e-mail': 'string(/^[a-z]{3,8}@example\\.org$/)',
+*         amount: 'number(0..500)',
+*         comment: 'undefined|string'
+*     }, {seed: 24})
+*
+*     output:
+*     {
+*         method: 'paypal',
+*         'e-mail': 'hcndhlwu@example.org',
+*         amount: 238
+*     }
+*
+* What it does:
+*   - picks a random alternative of unions and /each/ lists
+*   - sometimes leaves out keys that can be undefined
+*   - uses the exact value of quoted literals
+*   - creates arrays of different lengths, within the range of /each(1..10)/ and 'arraylike(1..10)'
+*   - creates strings for the supported subset of patterns (character classes, groups, | and quantifiers)
+*
+* options:
+*   - seed: number, the same seed gives the same output, a random seed is used when left out
+*   - maxDepth: after this depth the shortest alternatives are used, so recursive validators end (default 4)
+*
+* throws for validators it can't create values for, like predicates and patterns with lookaheads
+*/
+import { getType } from '@/scripts/util/helpers.js'
+import {
+    toUnion, isEach, getEachRange, parseConstraint,
+    getDefault, getRecord, getTuple, getRegisteredValidator,
+} from '@/scripts/util/json-validator.js'
+
+
+export function generate(validator, options) {
+    const {seed = Math.floor(Math.random() * 4294967296), maxDepth = 4} = options || {}
+    const ctx = {random: createRandom(seed), maxDepth}
+    return gen(validator, 0, false, ctx)
+}
+
+/*
+* Small seeded random number generator (mulberry32), returns a function like Math.random
+*/
+export function createRandom(seed) {
+    let state = seed >>> 0
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+// avoidUndefined is used when undefined isn't an option, like the last key of an object
+function gen(validator, depth, avoidUndefined, ctx) {
+    const deep = depth > ctx.maxDepth
+
+    const defaultInfo = getDefault(validator)
+    if(defaultInfo) {
+        return !avoidUndefined && ctx.random() < 0.3
+            ? undefined
+            : gen(defaultInfo.validator, depth, true, ctx)
+    }
+
+    const recordInfo = getRecord(validator)
+    if(recordInfo) {
+        const obj = {}
+        const count = deep ? 0 : randomInt(ctx, 0, 3)
+        for(let i = 0, tries = 0; i < count && tries < 20; tries++) {
+            const key = gen(recordInfo.key, depth + 1, true, ctx)
+            if(typeof key != 'string') {
+                throw new Error('generate: record keys have to be strings, got ' + getType(key))
+            }
+            if(!(key in obj)) {
+                obj[key] = gen(recordInfo.value, depth + 1, false, ctx)
+                i++
+            }
+        }
+        return obj
+    }
+
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo) {
+        const arr = tupleInfo.items.map(item => gen(item, depth + 1, false, ctx))
+        if(tupleInfo.rest !== undefined) {
+            const restCount = deep ? 0 : randomInt(ctx, 0, 2)
+            for(let i = 0; i < restCount; i++) {
+                arr.push(gen(tupleInfo.rest, depth + 1, false, ctx))
+            }
+        }
+        return trimUndefined(arr, tupleInfo.items.length)
+    }
+
+    if(typeof validator == 'string' && validator.charAt(0) == '@') {
+        return gen(getRegisteredValidator(validator.slice(1)), depth, avoidUndefined, ctx)
+    }
+
+    validator = toUnion(validator)
+    const type = getType(validator)
+
+    if(type == 'objectlike') {
+        const obj = {}
+        const keys = []
+        for(let k in validator) {
+            keys.push(k)
+        }
+        keys.forEach(k => {
+            const v = gen(validator[k], depth + 1, false, ctx)
+            if(v !== undefined) {
+                obj[k] = v
+            }
+        })
+
+        // {} isn't objectlike, so at least 1 key is needed
+        if(getType(obj) != 'objectlike') {
+            const k = keys.find(k => canBeDefined(validator[k]))
+            if(k === undefined) {
+                obj[keys[0]] = undefined
+            } else {
+                obj[k] = gen(validator[k], depth + 1, true, ctx)
+            }
+        }
+        return obj
+    }
+
+    if(type == 'arraylike') {
+        let alternatives = validator
+        if(avoidUndefined) {
+            alternatives = alternatives.filter(item => item !== 'undefined')
+        }
+        if(deep) {
+            const shallow = alternatives.filter(isShallow)
+            if(shallow.length > 0) {
+                alternatives = shallow
+            }
+        }
+        const alternative = pick(ctx, alternatives)
+
+        if(getType(alternative) == 'arraylike') {
+            return genArray(alternative, depth, ctx)
+        }
+        return gen(alternative, depth, avoidUndefined, ctx)
+    }
+
+    if(type == 'string') {
+        return genLeaf(validator, depth, ctx)
+    }
+
+    if(type == 'function') {
+        throw new Error('generate: can\'t create values for predicate ' + (validator.name || 'anonymous'))
+    }
+
+    // literal values, like 5, true or null
+    return validator
+}
+
+// an /each/ list or a list of fixed positions
+function genArray(validatorItemArr, depth, ctx) {
+    if(isEach(validatorItemArr)) {
+        const range = getEachRange(validatorItemArr) || {min: 1, max: Infinity}
+        const count = randomLength(ctx, range, depth > ctx.maxDepth)
+        const validations = validatorItemArr.slice(1)
+
+        const arr = []
+        for(let i = 0; i < count; i++) {
+            arr.push(gen(pick(ctx, validations), depth + 1, false, ctx))
+        }
+        return arr
+    }
+
+    const arr = []
+    for(let i = 0; i < validatorItemArr.length; i++) {
+        arr.push(gen(validatorItemArr[i], depth + 1, false, ctx))
+    }
+    return trimUndefined(arr, 1)
+}
+
+function genLeaf(validator, depth, ctx) {
+    const constraint = parseConstraint(validator)
+    if(constraint) {
+        const {type, min, max, pattern} = constraint
+        if(type == 'number') {
+            return randomNumber(ctx, min, max)
+        }
+        if(type == 'integer') {
+            return randomInt(ctx, Math.ceil(clampMin(min, max)), Math.floor(clampMax(min, max)))
+        }
+        if(type == 'string') {
+            return pattern
+                ? genPattern(pattern, ctx)
+                : randomString(ctx, randomLength(ctx, {min, max}, false))
+        }
+        const count = randomLength(ctx, {min, max}, depth > ctx.maxDepth)
+        const arr = []
+        for(let i = 0; i < count; i++) {
+            arr.push(randomInt(ctx, 0, 100))
+        }
+        return arr
+    }
+
+    // value based
+    if(validator.indexOf('"') != -1) {
+        return validator.split('"').join('')
+    }
+
+    switch(validator) {
+        case 'string':
+            return randomString(ctx, randomInt(ctx, 1, 8))
+        case 'number':
+            return randomNumber(ctx, -1000, 1000)
+        case 'boolean':
+            return ctx.random() < 0.5
+        case 'null':
+            return null
+        case 'undefined':
+            return undefined
+        case 'symbol':
+            return Symbol(randomString(ctx, 4))
+        case 'function':
+            return function generated() {}
+        case 'arraylike':
+            return genLeaf('arraylike(1..)', depth, ctx)
+        case 'Array':
+            return []
+        case 'objectlike':
+            return {[randomString(ctx, randomInt(ctx, 1, 8))]: randomInt(ctx, 0, 100)}
+        case 'Object':
+            return {}
+        case 'Date':
+            return new Date(randomInt(ctx, 0, 2000000000) * 1000)
+    }
+
+    throw new Error('generate: can\'t create values of type ' + validator)
+}
+
+function canBeDefined(validator) {
+    if(typeof validator == 'function') {return true}
+    validator = toUnion(validator)
+    return getType(validator) == 'arraylike'
+        ? validator.some(item => item !== 'undefined')
+        : validator !== 'undefined'
+}
+
+// alternatives that don't go deeper, used to end recursive validators
+function isShallow(alternative) {
+    if(typeof alternative == 'string') {
+        return alternative.charAt(0) != '@'
+    }
+    if(getType(alternative) == 'arraylike' && isEach(alternative)) {
+        const range = getEachRange(alternative)
+        return range != null && range.min <= 0
+    }
+    return getType(alternative) != 'objectlike' && typeof alternative != 'function'
+}
+
+// arrays that end with undefined are shorter, positions after minLength can be left out
+function trimUndefined(arr, minLength) {
+    while(arr.length > minLength && arr[arr.length - 1] === undefined) {
+        arr.pop()
+    }
+    return arr
+}
+
+
+
+// Patterns
+//
+// Creates a string for a pattern by walking through the pattern itself.
+// supports: literals, ., \d \w \s (and \D \W \S), [a-z] classes (also negated), groups, |,
+// * + ? {n} {n,} {n,m} and the anchors ^ $
+
+function genPattern(pattern, ctx) {
+    const ast = parsePattern(pattern.source)
+    for(let i = 0; i < 20; i++) {
+        const str = genPatternNode(ast, ctx)
+        if(pattern.test(str)) {
+            return str
+        }
+    }
+    throw new Error('generate: couldn\'t create a string for pattern ' + pattern)
+}
+
+const printable = []
+for(let code = 32; code < 127; code++) {
+    printable.push(String.fromCharCode(code))
+}
+const classChars = {
+    d: '0123456789'.split(''),
+    w: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_'.split(''),
+    s: [' '],
+}
+
+function parsePattern(source) {
+    let i = 0
+
+    const unsupported = what => {
+        throw new Error('generate: ' + what + ' is not supported in patterns, in /' + source + '/')
+    }
+
+    // escaped character, returns a list of characters
+    const parseEscape = () => {
+        const char = source[i++]
+        if(classChars[char]) {return classChars[char]}
+        if(classChars[char.toLowerCase()]) {
+            return printable.filter(c => classChars[char.toLowerCase()].indexOf(c) == -1)
+        }
+        if(/[1-9]/.test(char)) {unsupported('a back reference')}
+        if(char == 'b' || char == 'B') {unsupported('a word boundary')}
+        if(char == 'n') {return ['\n']}
+        if(char == 't') {return ['\t']}
+        return [char]
+    }
+
+    const parseClass = () => {
+        const negate = source[i] == '^'
+        if(negate) {i++}
+        let chars = []
+        while(i < source.length && source[i] != ']') {
+            let from
+            if(source[i] == '\\') {
+                i++
+                const escaped = parseEscape()
+                if(escaped.length > 1) {
+                    chars = chars.concat(escaped)
+                    continue
+                }
+                from = escaped[0]
+            } else {
+                from = source[i++]
+            }
+            if(source[i] == '-' && source[i + 1] != ']' && i + 1 < source.length) {
+                i++
+                let to = source[i++]
+                if(to == '\\') {to = parseEscape()[0]}
+                for(let code = from.charCodeAt(0); code <= to.charCodeAt(0); code++) {
+                    chars.push(String.fromCharCode(code))
+                }
+            } else {
+                chars.push(from)
+            }
+        }
+        i++ // ]
+        return negate
+            ? printable.filter(c => chars.indexOf(c) == -1)
+            : chars
+    }
+
+    const parseAlternation = () => {
+        const alternatives = [parseSequence()]
+        while(source[i] == '|') {
+            i++
+            alternatives.push(parseSequence())
+        }
+        return {alternatives}
+    }
+
+    const parseSequence = () => {
+        const items = []
+        while(i < source.length && source[i] != '|' && source[i] != ')') {
+            let atom
+            const char = source[i++]
+            if(char == '(') {
+                if(source[i] == '?') {
+                    if(source[i + 1] != ':') {unsupported('a lookaround')}
+                    i += 2
+                }
+                atom = parseAlternation()
+                i++ // )
+            } else
+            if(char == '[') {atom = {chars: parseClass()}} else
+            if(char == '\\') {atom = {chars: parseEscape()}} else
+            if(char == '.') {atom = {chars: printable}} else
+            if(char == '^' || char == '$') {continue} else {
+                atom = {chars: [char]}
+            }
+
+            // quantifiers
+            let min = 1
+            let max = 1
+            const quantifier = /^(?:\*|\+|\?|\{(\d+)(,(\d*))?\})/.exec(source.slice(i))
+            if(quantifier) {
+                i += quantifier[0].length
+                if(quantifier[0] == '*') {min = 0; max = 3} else
+                if(quantifier[0] == '+') {min = 1; max = 4} else
+                if(quantifier[0] == '?') {min = 0; max = 1} else {
+                    min = Number(quantifier[1])
+                    max = quantifier[2] === undefined
+                        ? min
+                        : quantifier[3] === '' ? min + 3 : Number(quantifier[3])
+                }
+                if(source[i] == '?') {i++} // lazy
+            }
+            items.push({atom, min, max})
+        }
+        return {items}
+    }
+
+    return parseAlternation()
+}
+
+function genPatternNode(node, ctx) {
+    if(node.alternatives) {
+        return genPatternNode(pick(ctx, node.alternatives), ctx)
+    }
+    if(node.chars) {
+        return pick(ctx, node.chars)
+    }
+    let str = ''
+    node.items.forEach(({atom, min, max}) => {
+        const count = randomInt(ctx, min, max)
+        for(let i = 0; i < count; i++) {
+            str += genPatternNode(atom, ctx)
+        }
+    })
+    return str
+}
+
+
+
+// random helpers
+
+function pick(ctx, list) {
+    return list[Math.floor(ctx.random() * list.length)]
+}
+
+// including min and max
+function randomInt(ctx, min, max) {
+    return min + Math.floor(ctx.random() * (max - min + 1))
+}
+
+// numbers with 2 decimals, or whole numbers
+function randomNumber(ctx, min, max) {
+    const low = clampMin(min, max)
+    const high = clampMax(min, max)
+    if(ctx.random() < 0.5 && Math.ceil(low) <= Math.floor(high)) {
+        return randomInt(ctx, Math.ceil(low), Math.floor(high))
+    }
+    const num = Math.round((low + ctx.random() * (high - low)) * 100) / 100
+    return Math.min(Math.max(num, low), high)
+}
+
+// lengths stay small, and use the minimum when deep is true
+function randomLength(ctx, {min, max}, deep) {
+    const low = Math.max(0, Math.ceil(min))
+    if(deep) {return low}
+    return randomInt(ctx, low, Math.min(max, low + 3))
+}
+
+// infinite ranges are limited to 1000 around the other side
+function clampMin(min, max) {
+    return min > -Infinity ? min : Math.min(max, 1000) - 2000
+}
+function clampMax(min, max) {
+    return max < Infinity ? max : Math.max(min, -1000) + 2000
+}
+
+function randomString(ctx, length) {
+    let str = ''
+    for(let i = 0; i < length; i++) {
+        str += pick(ctx, classChars.w.slice(0, 26))
+    }
+    return str
+}
+
+
+
+export const generateTests = [
+    {
+        input: ['"paypal"', {seed: 1}],
+        exout: 'paypal',
+    },
+    {
+        input: [{method: '"card"', amount: 'null'}, {seed: 24}],
+        exout: {method: 'card', amount: null},
+    },
+    {
+        input: [[[/each(2)/, '"a"']], {seed: 3}],
+        exout: ['a', 'a'],
+    },
+]
@@ -0,0 +1,622 @@
+/*
+* Converts JSONCheck validators to JSON Schema (draft-07) and back
+*
+*
+* [1] toJSONSchema
+*
+*     validator:
+*     {
+*         name: 'string',
+*         rating: 'undefined|number(0..5)',
+*         type: '"Game"|"software"',
+*         tags: [[/each/, 'string']]
+*     }
+*
+*     output:
+*     {
+*         $schema: 'http://json-schema.org/draft-07/schema#',
+*         type: 'object',
+*         properties: {
+*             name: {type: 'string'},
+*             rating: {type: 'number', minimum: 0, maximum: 5},
+*             type: {enum: ['Game', 'software']},
+*             tags: {type: 'array', items: {type: 'string'}, minItems: 1}
+*         },
+*         required: ['name', 'type', 'tags']
+*     }
+*
+*
+* [2] fromJSONSchema
+*
+*     Supports the subset of JSON Schema that JSONCheck can express:
+*     type, enum, const, properties, required, additionalProperties, propertyNames, items, additionalItems,
+*     anyOf, minimum, maximum, minLength, maxLength, pattern, minItems and maxItems.
+*     An object with an additionalProperties schema and without properties becomes a record,
+*     a list of items with additionalItems becomes a tuple.
+*     A default of an optional key becomes withDefault, other annotations like title and description are ignored.
+*
+*
+* Things that can't be converted (like $ref, oneOf, a RegExp flag or an 'undefined' outside of an object key)
+* are not left out, instead a SchemaConversionError is thrown with all of them inside of error.issues:
+*
+*     [
+*         {path: 'products[].achievements', reason: 'keyword $ref is not supported'}
+*     ]
+*
+*
+* Notes
+*   - getType doesn't see empty arrays and objects as arraylike and objectlike,
+*     so 'arraylike' becomes {type: 'array', minItems: 1}, and [] is only valid for array schemas
+*     when the validator has a range that includes 0, like /each(0..)/ or 'arraylike(0..)'
+*   - JSONCheck also tries the items of an array validator on values that aren't arrays,
+*     that isn't converted, array validators always become array schemas
+*/
+import { getType } from '@/scripts/util/helpers.js'
+import {
+    toUnion, isEach, getEachRange, parseConstraint,
+    getStrict, strict, getDefault, withDefault, getRecord, record, getTuple, tuple,
+} from '@/scripts/util/json-validator.js'
+
+const draft07 = 'http://json-schema.org/draft-07/schema#'
+
+
+export class SchemaConversionError extends Error {
+    constructor(issues) {
+        super(
+            'Could not convert ' + issues.length + ' part(s):\n' +
+            issues.map(issue => '  ' + (issue.path || 'root') + ': ' + issue.reason).join('\n')
+        )
+        this.name = 'SchemaConversionError'
+        this.issues = issues
+    }
+}
+
+
+
+/*
+* Converts a JSONCheck validator into a JSON Schema document.
+* takes the same strict option as JSONCheck, which becomes additionalProperties: false
+*/
+export function toJSONSchema(validator, {strict = false} = {}) {
+    const issues = []
+    const schema = validatorToSchema(validator, '', issues, {strict})
+
+    if(issues.length > 0) {
+        throw new SchemaConversionError(issues)
+    }
+    return Object.assign({$schema: draft07}, schema)
+}
+
+function validatorToSchema(validator, path, issues, opts) {
+    const defaultInfo = getDefault(validator)
+    if(defaultInfo) {
+        const schema = validatorToSchema(defaultInfo.validator, path, issues, opts)
+        return Object.assign(schema, {default: defaultInfo.value})
+    }
+    
+    const recordInfo = getRecord(validator)
+    if(recordInfo) {
+        const schema = {
+            type: 'object',
+            additionalProperties: validatorToSchema(recordInfo.value, path + '[*]', issues, opts),
+        }
+        if(recordInfo.key !== 'string') {
+            schema.propertyNames = validatorToSchema(recordInfo.key, path, issues, opts)
+        }
+        return schema
+    }
+    
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo) {
+        // tuples can be empty, when all of the positions are optional
+        const schema = positionsToSchema(tupleInfo.items, 0, path, issues, opts)
+        schema.additionalItems = tupleInfo.rest === undefined
+            ? false
+            : validatorToSchema(tupleInfo.rest, path + '[]', issues, opts)
+        return schema
+    }
+    
+    validator = toUnion(validator)
+    const type = getType(validator)
+
+    if(type == 'objectlike') {
+        const properties = {}
+        const required = []
+        for(let k in validator) {
+            if(getDefault(validator[k])) {
+                properties[k] = validatorToSchema(validator[k], joinPath(path, k), issues, opts)
+                continue
+            }
+            
+            const alternatives = unionItems(validator[k]).filter(item => item !== 'undefined')
+            const optional = alternatives.length < unionItems(validator[k]).length
+
+            // a key that can only be undefined, may not be there
+            properties[k] = alternatives.length == 0
+                ? false
+                : unionToSchema(alternatives, joinPath(path, k), issues, opts)
+
+            if(!optional) {
+                required.push(k)
+            }
+        }
+
+        const schema = {type: 'object', properties}
+        if(required.length > 0) {
+            schema.required = required
+        } else {
+            schema.minProperties = 1
+        }
+
+        const isStrict = getStrict(validator) !== undefined
+            ? getStrict(validator)
+            : opts.strict
+        if(isStrict) {
+            schema.additionalProperties = false
+        }
+        return schema
+    }
+
+    if(type == 'arraylike') {
+        return unionToSchema(validator, path, issues, opts)
+    }
+
+    if(type == 'string') {
+        return leafToSchema(validator, path, issues)
+    }
+
+    if(type == 'null' || type == 'boolean' || (type == 'number' && isFinite(validator))) {
+        return {const: validator}
+    }
+
+    issues.push({path, reason: 'validator of type ' + type + ' has no JSON Schema equivalent'})
+    return {}
+}
+
+function unionToSchema(alternatives, path, issues, opts) {
+    const schemas = alternatives.map(item => {
+        if(item === 'undefined') {
+            issues.push({path, reason: 'undefined is only supported as an option of an object key'})
+            return {}
+        }
+
+        // union items that are lists are /each/ or fixed position arrays
+        if(getType(item) == 'arraylike') {
+            return arrayToSchema(item, path, issues, opts)
+        }
+        return validatorToSchema(item, path, issues, opts)
+    })
+
+    if(schemas.length == 1) {
+        return schemas[0]
+    }
+    if(schemas.every(schema => 'const' in schema && Object.keys(schema).length == 1)) {
+        return {enum: schemas.map(schema => schema.const)}
+    }
+    return {anyOf: schemas}
+}
+
+function arrayToSchema(validatorItemArr, path, issues, opts) {
+    if(isEach(validatorItemArr)) {
+        const range = getEachRange(validatorItemArr)
+        const schema = {
+            type: 'array',
+            items: unionToSchema(validatorItemArr.slice(1), path + '[]', issues, opts),
+        }
+        return Object.assign(schema, rangeToSchema(range || {min: 1, max: Infinity}, 'minItems', 'maxItems'))
+    }
+
+    // fixed positions, an empty array isn't arraylike
+    return positionsToSchema(validatorItemArr, 1, path, issues, opts)
+}
+
+// missing positions are checked as undefined, so the last one that doesn't allow undefined sets minItems
+function positionsToSchema(validatorItemArr, minItems, path, issues, opts) {
+    const items = []
+    for(let i = 0; i < validatorItemArr.length; i++) {
+        const itemPath = path + '[' + i + ']'
+        const alternatives = unionItems(validatorItemArr[i]).filter(item => item !== 'undefined')
+        if(alternatives.length == unionItems(validatorItemArr[i]).length) {
+            minItems = i + 1
+        }
+        items.push(alternatives.length == 0 ? {} : unionToSchema(alternatives, itemPath, issues, opts))
+    }
+    const schema = {type: 'array', items}
+    if(minItems > 0) {
+        schema.minItems = minItems
+    }
+    return schema
+}
+
+function leafToSchema(validator, path, issues) {
+    const constraint = parseConstraint(validator)
+    if(constraint) {
+        const {type, min, max, pattern} = constraint
+        if(type == 'number' || type == 'integer') {
+            return Object.assign({type}, rangeToSchema({min, max}, 'minimum', 'maximum'))
+        }
+        if(type == 'string' && pattern) {
+            if(pattern.flags) {
+                issues.push({path, reason: 'the flags of pattern ' + pattern + ' have no JSON Schema equivalent'})
+            }
+            return {type: 'string', pattern: pattern.source}
+        }
+        if(type == 'string') {
+            return Object.assign({type}, rangeToSchema({min, max}, 'minLength', 'maxLength'))
+        }
+        return Object.assign({type: 'array'}, rangeToSchema({min, max}, 'minItems', 'maxItems'))
+    }
+
+    // value based
+    if(validator.indexOf('"') != -1) {
+        return {const: validator.split('"').join('')}
+    }
+
+    switch(validator) {
+        case 'string':
+        case 'number':
+        case 'boolean':
+        case 'null':
+            return {type: validator}
+        case 'arraylike':
+            return {type: 'array', minItems: 1}
+        case 'Array':
+            return {type: 'array', maxItems: 0}
+        case 'objectlike':
+            return {type: 'object', minProperties: 1}
+        case 'Object':
+            return {type: 'object', maxProperties: 0}
+    }
+
+    issues.push({path, reason: 'type ' + validator + ' has no JSON Schema equivalent'})
+    return {}
+}
+
+function rangeToSchema({min, max}, minKey, maxKey) {
+    const schema = {}
+    if(min > -Infinity && !(minKey != 'minimum' && min <= 0)) {
+        schema[minKey] = min
+    }
+    if(max < Infinity) {
+        schema[maxKey] = max
+    }
+    return schema
+}
+
+
+
+/*
+* Converts the supported subset of a JSON Schema into a JSONCheck validator.
+* throws a SchemaConversionError for the parts that can't be converted
+*/
+export function fromJSONSchema(schema) {
+    const issues = []
+    const validator = schemaToValidator(schema, '', issues)
+
+    if(issues.length > 0) {
+        throw new SchemaConversionError(issues)
+    }
+    return validator
+}
+
+// keywords that only describe the schema, they don't change what is valid
+const annotationKeywords = [
+    '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples',
+    'readOnly', 'writeOnly', 'deprecated', 'definitions', '$defs',
+]
+
+const supportedKeywords = [
+    'type', 'enum', 'const', 'anyOf', 'properties', 'required', 'additionalProperties', 'propertyNames',
+    'items', 'additionalItems',
+    'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems',
+]
+
+function schemaToValidator(schema, path, issues) {
+    if(getType(schema) != 'objectlike') {
+        issues.push({path, reason: 'schema ' + JSON.stringify(schema) + ' is not supported, a type is needed'})
+        return 'undefined'
+    }
+
+    let hasUnsupported = false
+    for(let keyword in schema) {
+        if(annotationKeywords.indexOf(keyword) == -1 && supportedKeywords.indexOf(keyword) == -1) {
+            issues.push({path, reason: 'keyword ' + keyword + ' is not supported'})
+            hasUnsupported = true
+        }
+    }
+
+    if(schema.anyOf !== undefined) {
+        if(schema.type !== undefined || schema.enum !== undefined || schema.const !== undefined) {
+            issues.push({path, reason: 'anyOf can not be combined with type, enum or const'})
+        }
+        return makeUnion(schema.anyOf.map(item => schemaToValidator(item, path, issues)))
+    }
+
+    if(schema.const !== undefined) {
+        return valueToValidator(schema.const, path, issues)
+    }
+    if(schema.enum !== undefined) {
+        return makeUnion(schema.enum.map(value => valueToValidator(value, path, issues)))
+    }
+
+    if(schema.type === undefined) {
+        if(!hasUnsupported) {
+            issues.push({path, reason: 'schema without type, enum, const or anyOf is not supported'})
+        }
+        return 'undefined'
+    }
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    return makeUnion(types.map(type => typeToValidator(schema, type, path, issues)))
+}
+
+function typeToValidator(schema, type, path, issues) {
+    switch(type) {
+        case 'boolean':
+        case 'null':
+            return type
+        case 'number':
+        case 'integer':
+            return withRange(type, schema.minimum, schema.maximum)
+        case 'string':
+            if(schema.pattern !== undefined) {
+                if(schema.minLength !== undefined || schema.maxLength !== undefined) {
+                    issues.push({path, reason: 'pattern can not be combined with minLength or maxLength'})
+                }
+                if(!hasBalancedParentheses(schema.pattern)) {
+                    issues.push({path, reason: 'pattern ' + schema.pattern + ' needs balanced parentheses'})
+                }
+                return 'string(/' + schema.pattern + '/)'
+            }
+            return withRange('string', schema.minLength, schema.maxLength)
+        case 'array':
+            return arraySchemaToValidator(schema, path, issues)
+        case 'object':
+            return objectSchemaToValidator(schema, path, issues)
+    }
+
+    issues.push({path, reason: 'type ' + type + ' is not supported'})
+    return 'undefined'
+}
+
+function arraySchemaToValidator(schema, path, issues) {
+    const range = (schema.minItems || 0) + '..' + (schema.maxItems !== undefined ? schema.maxItems : '')
+
+    if(schema.items === undefined) {
+        return 'arraylike(' + range + ')'
+    }
+
+    if(!Array.isArray(schema.items)) {
+        const items = schemaToValidator(schema.items, path + '[]', issues)
+        return [[new RegExp('each(' + range + ')'), items]]
+    }
+
+    // fixed positions, the ones after minItems are optional
+    if(schema.maxItems !== undefined) {
+        issues.push({path, reason: 'maxItems can not be combined with a list of items'})
+    }
+    const positions = schema.items.map((item, i) => {
+        const validator = schemaToValidator(item, path + '[' + i + ']', issues)
+        return i < (schema.minItems || 0)
+            ? validator
+            : makeUnion(['undefined', validator])
+    })
+    
+    if(schema.additionalItems === false) {
+        return tuple(positions)
+    }
+    if(schema.additionalItems !== undefined && schema.additionalItems !== true) {
+        return tuple(positions, schemaToValidator(schema.additionalItems, path + '[]', issues))
+    }
+    return (schema.minItems || 0) > 0
+        ? [positions]
+        : [positions, 'Array']
+}
+
+function objectSchemaToValidator(schema, path, issues) {
+    const required = schema.required || []
+
+    const hasAdditionalSchema = schema.additionalProperties !== undefined &&
+        schema.additionalProperties !== false &&
+        schema.additionalProperties !== true
+
+    if(hasAdditionalSchema || schema.propertyNames !== undefined) {
+        if(schema.properties !== undefined || required.length > 0) {
+            issues.push({path, reason: 'additionalProperties with a schema and propertyNames can not be combined with properties'})
+        }
+        const keyValidator = schema.propertyNames !== undefined
+            ? schemaToValidator(schema.propertyNames, path, issues)
+            : 'string'
+        const valueValidator = hasAdditionalSchema
+            ? schemaToValidator(schema.additionalProperties, path + '[*]', issues)
+            : 'undefined'
+        if(!hasAdditionalSchema) {
+            issues.push({path, reason: 'propertyNames needs additionalProperties with a schema'})
+        }
+        return record(keyValidator, valueValidator)
+    }
+
+    if(schema.properties === undefined) {
+        if(required.length > 0) {
+            issues.push({path, reason: 'required keys need a schema in properties'})
+        }
+        return 'objectlike|Object'
+    }
+
+    let validator = {}
+    for(let k in schema.properties) {
+        const keyValidator = schemaToValidator(schema.properties[k], joinPath(path, k), issues)
+        if(required.indexOf(k) != -1) {
+            validator[k] = keyValidator
+        } else
+        if(schema.properties[k].default !== undefined) {
+            validator[k] = withDefault(keyValidator, schema.properties[k].default)
+        } else {
+            validator[k] = makeUnion(['undefined', keyValidator])
+        }
+    }
+
+    required.forEach(k => {
+        if(!(k in schema.properties)) {
+            issues.push({path: joinPath(path, k), reason: 'required key needs a schema in properties'})
+        }
+    })
+
+    if(schema.additionalProperties === false) {
+        validator = strict(validator)
+    }
+
+    // without required keys {} is valid as well, which isn't objectlike
+    return required.length > 0
+        ? validator
+        : [validator, 'Object']
+}
+
+function valueToValidator(value, path, issues) {
+    const type = getType(value)
+
+    if(type == 'string') {
+        if(value.indexOf('"') != -1 || value.indexOf('|') != -1) {
+            issues.push({path, reason: 'the value ' + JSON.stringify(value) + ' can not contain " or |'})
+        }
+        return '"' + value + '"'
+    }
+    if(type == 'null') {
+        return 'null'
+    }
+    if(type == 'boolean' || type == 'number') {
+        return value
+    }
+
+    issues.push({path, reason: 'only string, number, boolean and null values are supported in enum and const'})
+    return 'undefined'
+}
+
+// 'number' with min 0 and max 5 -> 'number(0..5)'
+function withRange(type, min, max) {
+    if(min === undefined && max === undefined) {
+        return type
+    }
+    return type + '(' + (min !== undefined ? min : '') + '..' + (max !== undefined ? max : '') + ')'
+}
+
+// the alternatives of a validator: 'string|number' -> ['string', 'number']
+function unionItems(validator) {
+    validator = toUnion(validator)
+    return getType(validator) == 'arraylike'
+        ? validator
+        : [validator]
+}
+
+// combines validators into 1 validator, using 'a|b' when all of them are strings
+function makeUnion(validators) {
+    const items = []
+    validators.forEach(validator => {
+        unionItems(validator).forEach(item => {
+            if(items.indexOf(item) == -1) {
+                items.push(item)
+            }
+        })
+    })
+
+    if(items.length == 1 && getType(items[0]) != 'arraylike') {
+        return items[0]
+    }
+    if(items.every(item => typeof item == 'string')) {
+        return items.join('|')
+    }
+    return items
+}
+
+function hasBalancedParentheses(str) {
+    let depth = 0
+    for(let i = 0; i < str.length; i++) {
+        if(str[i] == '(') {depth++} else
+        if(str[i] == ')') {depth--}
+        if(depth < 0) {return false}
+    }
+    return depth == 0
+}
+
+function joinPath(path, key) {
+    if(/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return path ? path + '.' + key : key
+    }
+    return path + '[' + JSON.stringify(key) + ']'
+}
+
+
+
+export const toJSONSchemaTests = [
+    {
+        input: {
+            name: 'string',
+            rating: 'undefined|number(0..5)',
+            type: '"Game"|"software"',
+            tags: [[/each/, 'string']],
+        },
+        exout: {
+            $schema: draft07,
+            type: 'object',
+            properties: {
+                name: {type: 'string'},
+                rating: {type: 'number', minimum: 0, maximum: 5},
+                type: {enum: ['Game', 'software']},
+                tags: {type: 'array', items: {type: 'string'}, minItems: 1},
+            },
+            required: ['name', 'type', 'tags'],
+        },
+    },
+    {
+        input: strict({id: 'integer(1..)'}),
+        exout: {
+            $schema: draft07,
+            type: 'object',
+            properties: {
+                id: {type: 'integer', minimum: 1},
+            },
+            required: ['id'],
+            additionalProperties: false,
+        },
+    },
+    {
+        input: [[/each(0..3)/, 'string(/^[a-z]+$/)', 'null']],
+        exout: {
+            $schema: draft07,
+            type: 'array',
+            items: {
+                anyOf: [
+                    {type: 'string', pattern: '^[a-z]+$'},
+                    {type: 'null'},
+                ],
+            },
+            maxItems: 3,
+        },
+    },
+]
+
+export const fromJSONSchemaTests = [
+    {
+        input: {
+            type: 'object',
+            title: 'Product',
+            properties: {
+                title: {type: 'string', maxLength: 100},
+                price: {type: 'number', minimum: 0},
+                type: {enum: ['Game', 'software']},
+                comment: {type: ['string', 'null']},
+            },
+            required: ['title', 'price', 'type'],
+        },
+        exout: {
+            title: 'string(..100)',
+            price: 'number(0..)',
+            type: '"Game"|"software"',
+            comment: 'undefined|string|null',
+        },
+    },
+    {
+        input: {anyOf: [{type: 'integer', minimum: 1}, {const: 'none'}]},
+        exout: 'integer(1..)|"none"',
+    },
+]
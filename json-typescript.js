@@ -0,0 +1,318 @@
+/*
+* Generates TypeScript type declarations from JSONCheck validators
+*
+*
+* example:
+*
+*     validator:
+*     {
+*         title: 'string',
+*         type: '"Game"|"software"',
+*         comment: 'undefined|string',
+*         tags: [[/each/, 'string', 'number']],
+*         author: '@user'
+*     }
+*
+*     toTypeScript({Product: validator})
+*
+*     output:
+*
+*     export type Product = {
+*         title: string;
+*         type: "Game" | "software";
+*         comment?: string;
+*         tags: Array<string | number>;
+*         author: User;
+*     };
+*
+*     export type User = {
+*         ...
+*     };
+*
+*     (User is added because the validator refers to the registered validator @user)
+*
+*
+* From the command line, every export of the module that ends with Validator becomes a type,
+* productValidator becomes Product:
+*
+*     node json-typescript.js ./validators.js > ./types/validators.d.ts
+*
+*
+* Notes
+*   - predicates can't be translated, they become unknown
+*   - constraints can't be expressed, 'number(0..5)' becomes number
+*   - an array validator with fixed positions allows more items, so ['string', 'number'] becomes
+*     [string, number, ...unknown[]], use tuple() for an exact length
+*/
+import { getType } from '@/scripts/util/helpers.js'
+import {
+    toUnion, isEach, parseConstraint, getDefault, getRecord, getTuple, getRegisteredValidator,
+} from '@/scripts/util/json-validator.js'
+
+
+/*
+* Creates a declaration file from an object with type names as keys and validators as values.
+* Registered validators that are used with @name are added as well.
+*/
+export function toTypeScript(validators) {
+    const declarations = []
+    const done = []
+    const refs = []
+
+    const add = (name, validator) => {
+        done.push(name)
+        declarations.push('export type ' + name + ' = ' + validatorToType(validator, '', refs) + ';')
+    }
+
+    for(let name in validators) {
+        add(name, validators[name])
+    }
+
+    // refs grows while the registered validators are added
+    for(let i = 0; i < refs.length; i++) {
+        const typeName = toTypeName(refs[i])
+        if(done.indexOf(typeName) == -1) {
+            add(typeName, getRegisteredValidator(refs[i]))
+        }
+    }
+
+    return declarations.join('\n\n') + '\n'
+}
+
+/*
+* Creates the TypeScript type of a single validator, without a declaration.
+*
+*     toTypeScriptType('undefined|"asc"|"desc"')   > 'undefined | "asc" | "desc"'
+*/
+export function toTypeScriptType(validator) {
+    return validatorToType(validator, '', [])
+}
+
+// 'product-info' -> 'ProductInfo', 'productValidator' -> 'Product'
+export function toTypeName(name) {
+    return name
+        .replace(/Validator$/, '')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(part => part !== '')
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('')
+}
+
+function validatorToType(validator, indent, refs) {
+    const defaultInfo = getDefault(validator)
+    if(defaultInfo) {
+        return joinUnion(['undefined', validatorToType(defaultInfo.validator, indent, refs)])
+    }
+
+    const recordInfo = getRecord(validator)
+    if(recordInfo) {
+        return 'Record<' +
+            validatorToType(recordInfo.key, indent, refs) + ', ' +
+            validatorToType(recordInfo.value, indent, refs) + '>'
+    }
+
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo) {
+        const items = positionsToTypes(tupleInfo.items, indent, refs, true)
+        if(tupleInfo.rest !== undefined) {
+            items.push('...' + arrayOf(validatorToType(tupleInfo.rest, indent, refs)))
+        }
+        return '[' + items.join(', ') + ']'
+    }
+
+    validator = toUnion(validator)
+    const type = getType(validator)
+
+    if(type == 'objectlike') {
+        const innerIndent = indent + '    '
+        const lines = []
+        for(let k in validator) {
+            const alternatives = optionalAlternatives(validator[k])
+            const key = /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k)
+
+            lines.push(
+                innerIndent + key + (alternatives.optional ? '?: ' : ': ') +
+                unionToType(alternatives.items, innerIndent, refs) + ';'
+            )
+        }
+        return '{\n' + lines.join('\n') + '\n' + indent + '}'
+    }
+
+    if(type == 'arraylike') {
+        return unionToType(validator, indent, refs)
+    }
+
+    if(type == 'string') {
+        return leafToType(validator, refs)
+    }
+
+    if(type == 'number' || type == 'boolean' || type == 'null') {
+        return String(validator)
+    }
+
+    // predicates and other values
+    return 'unknown'
+}
+
+function unionToType(alternatives, indent, refs) {
+    if(alternatives.length == 0) {
+        return 'undefined'
+    }
+    return joinUnion(alternatives.map(item => {
+        // union items that are lists are /each/ or fixed position arrays
+        if(getType(item) == 'arraylike') {
+            if(isEach(item)) {
+                return 'Array<' + unionToType(item.slice(1), indent, refs) + '>'
+            }
+            return '[' + positionsToTypes(item, indent, refs, false).concat(['...unknown[]']).join(', ') + ']'
+        }
+        return validatorToType(item, indent, refs)
+    }))
+}
+
+// the types of fixed positions, optional positions at the end get a ? when canBeOptional
+function positionsToTypes(positions, indent, refs, canBeOptional) {
+    let optionalFrom = positions.length
+    while(optionalFrom > 0 && optionalAlternatives(positions[optionalFrom - 1]).optional) {
+        optionalFrom--
+    }
+
+    return positions.map((position, i) => {
+        const alternatives = optionalAlternatives(position)
+        if(canBeOptional && i >= optionalFrom) {
+            return wrap(unionToType(alternatives.items, indent, refs)) + '?'
+        }
+        return alternatives.optional
+            ? joinUnion([unionToType(alternatives.items, indent, refs), 'undefined'])
+            : unionToType(alternatives.items, indent, refs)
+    })
+}
+
+// splits 'undefined|x' into {optional: true, items: ['x']}
+function optionalAlternatives(validator) {
+    const defaultInfo = getDefault(validator)
+    if(defaultInfo) {
+        return {optional: true, items: unionItems(defaultInfo.validator)}
+    }
+    const items = unionItems(validator)
+    const withoutUndefined = items.filter(item => item !== 'undefined')
+    return {
+        optional: withoutUndefined.length < items.length,
+        items: withoutUndefined,
+    }
+}
+
+function unionItems(validator) {
+    validator = toUnion(validator)
+    return getType(validator) == 'arraylike'
+        ? validator
+        : [validator]
+}
+
+function leafToType(validator, refs) {
+    if(validator.charAt(0) == '@') {
+        const name = validator.slice(1)
+        if(refs.indexOf(name) == -1) {
+            refs.push(name)
+        }
+        return toTypeName(name)
+    }
+
+    const constraint = parseConstraint(validator)
+    if(constraint) {
+        if(constraint.type == 'arraylike') {return 'unknown[]'}
+        if(constraint.type == 'integer') {return 'number'}
+        return constraint.type
+    }
+
+    // value based
+    if(validator.indexOf('"') != -1) {
+        return JSON.stringify(validator.split('"').join(''))
+    }
+
+    switch(validator) {
+        case 'string':
+        case 'number':
+        case 'boolean':
+        case 'null':
+        case 'undefined':
+        case 'symbol':
+            return validator
+        case 'function':
+            return '((...args: any[]) => unknown)'
+        case 'arraylike':
+            return 'unknown[]'
+        case 'Array':
+            return '[]'
+        case 'objectlike':
+            return 'Record<string, unknown>'
+        case 'Object':
+            return 'Record<string, never>'
+    }
+
+    // other getType results, like Date and RegExp
+    return /^[A-Z][A-Za-z0-9]*$/.test(validator) ? validator : 'unknown'
+}
+
+function joinUnion(types) {
+    const unique = []
+    types.forEach(type => {
+        if(unique.indexOf(type) == -1) {
+            unique.push(type)
+        }
+    })
+    return unique.join(' | ')
+}
+
+function arrayOf(type) {
+    return wrap(type) + '[]'
+}
+
+// wraps unions in parentheses, so a ? or [] applies to the whole type
+function wrap(type) {
+    return type.indexOf(' | ') != -1 && !/^[{[]/.test(type)
+        ? '(' + type + ')'
+        : type
+}
+
+
+
+export const toTypeScriptTypeTests = [
+    {
+        input: 'undefined|"asc"|"desc"',
+        exout: 'undefined | "asc" | "desc"',
+    },
+    {
+        input: [[/each/, 'string', 'number(0..5)']],
+        exout: 'Array<string | number>',
+    },
+    {
+        input: {title: 'string', 'e-mail': 'undefined|string', author: '@user'},
+        exout: '{\n    title: string;\n    "e-mail"?: string;\n    author: User;\n}',
+    },
+]
+
+
+// command line usage: node json-typescript.js ./validators.js
+if(
+    typeof process !== 'undefined' &&
+    process.argv &&
+    process.argv[1] &&
+    new URL(import.meta.url).pathname === process.argv[1]
+) {
+    const path = process.argv[2]
+    if(!path) {
+        console.error('usage: node json-typescript.js <module with validators>')
+        process.exitCode = 1
+    } else {
+        import(new URL(path, 'file://' + process.cwd() + '/').href).then(moduleNs => {
+            const validators = {}
+            for(let exportName in moduleNs) {
+                if(/.Validator$/.test(exportName)) {
+                    validators[toTypeName(exportName)] = moduleNs[exportName]
+                }
+            }
+            process.stdout.write(toTypeScript(validators))
+        })
+    }
+}
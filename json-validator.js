@@ -2,7 +2,7 @@
 * The place to put validator functions
 *
 */
-import { getType } from '@/scripts/util/helpers.js'
+import { getType, objDeepClone, newArr, isNumberBetween } from '@/scripts/util/helpers.js'
 
 
 
@@ -210,86 +210,749 @@ Cannot user RegExp because it is used for /each/ syntax for array thingy
 
 -------------
 
+Constraints
+
+Some types can have a constraint between parentheses. Ranges are inclusive, and either side can be left out.
+
+   - 'number(0..5)'          number between 0 and 5 (see isNumberBetween)
+   - 'integer'               whole number
+   - 'integer(1..)'          whole number of 1 or higher
+   - 'string(3..20)'         string with a length of 3 up to 20
+   - 'string(8)'             string with a length of exactly 8
+   - 'string(/^[a-z]+$/i)'   string that matches the pattern (parentheses inside of the pattern have to be balanced)
+   - 'arraylike(1..10)'      array with 1 up to 10 items
+   - [[/each(1..10)/, ...]]  /each/ array with 1 up to 10 items
+
+A | inside of parentheses doesn't split the validator, so 'string(/a|b/)|number' is a union of 2 types.
+Empty arrays are not arraylike (see getType), but they are valid for a count range that includes 0.
+
+-------------
+
+Strict mode
+
+By default keys that are inside of inputData, but not inside of the validator are allowed.
+Pass {strict: true} as options to disallow them everywhere, or wrap an object validator
+with strict() to only disallow them for that object. loose() allows them again.
+
+    JSONCheck({name: 'John', admin: true}, {name: 'string'})                    > true
+    JSONCheck({name: 'John', admin: true}, {name: 'string'}, {strict: true})    > false
+    JSONCheck({name: 'John', admin: true}, strict({name: 'string'}))            > false
+
+-------------
+
+Named validators and predicates
+
+Validators can be registered under a name with registerValidator, and used in other validators
+with @name. A validator can refer to itself, for recursive data.
+
+    registerValidator('comment', {
+        text: 'string',
+        replies: 'undefined|@comment'
+    })
+    
+    JSONCheck({text: 'Hi', replies: {text: 'Hello'}}, '@comment')   > true
+
+A function is used as a predicate, the value is valid when it returns something truthy.
+
+    JSONCheck({mail: 'name@example.org'}, {mail: isEmail})
+
+-------------
+
+Records and tuples
+
+An object validator needs all of the keys up front. For dictionaries use record(keyValidator, valueValidator):
+
+    validator: record('string(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)', {
+        sales: 'number'
+    })
+    
+    valid: {'2017-02-03': {sales: 24}, '2017-02-04': {sales: 30}}
+
+An array validator like [['string', 'number']] checks positions, but allows more items.
+tuple(items, rest) checks the length as well, the rest validator is used for the items after items:
+
+    tuple(['string', 'number'])              ['a', 1] is valid, ['a', 1, 2] is not
+    tuple(['string'], 'number')              ['a'], ['a', 1] and ['a', 1, 2] are valid
+    tuple(['string', 'undefined|number'])    ['a'] and ['a', 1] are valid
+
+-------------
+
 This function works by looping through the keys and such.
 
 */
 
-export function JSONCheck(inputData, validator) {
+export function JSONCheck(inputData, validator, {strict = false} = {}) {
+    return check(inputData, validator, '', null, {strict})
+}
+
+
+
+/*
+* Same as JSONCheck, but returns a list of errors instead of a boolean.
+* (takes the same options as JSONCheck)
+* An empty list means the inputData is valid.
+* 
+* Every error has the shape:
+* 
+*     {
+*         path: 'products[1].executable_location',
+*         expected: 'string',           (the validator, as a string)
+*         actual: 'undefined',          (getType of value)
+*         value: undefined,
+*         message: 'products[1].executable_location: expected string, got undefined',
+*         alternatives: [...]           (only for unions and /each/ with multiple options)
+*     }
+* 
+* When none of the alternatives of a union or an /each/ match, alternatives contains
+* for every alternative why it was rejected:
+* 
+*     [
+*         {expected: '"Game"', errors: [...]},
+*         {expected: '"software"', errors: [...]}
+*     ]
+*/
+export function JSONCheckErrors(inputData, validator, {strict = false} = {}) {
+    const errors = []
+    check(inputData, validator, '', errors, {strict})
+    return errors
+}
+
+
+
+/*
+* Same as JSONCheck, but throws a ValidationError when inputData is invalid.
+* The error has the list of JSONCheckErrors inside of error.errors
+*/
+export function JSONAssert(inputData, validator, opts) {
+    const errors = JSONCheckErrors(inputData, validator, opts)
+    if(errors.length > 0) {
+        throw new ValidationError(errors)
+    }
+    return true
+}
+
+export class ValidationError extends Error {
+    constructor(errors) {
+        const more = errors.length > 1
+            ? ' (and ' + (errors.length - 1) + ' more)'
+            : ''
+        super(errors[0].message + more)
+        this.name = 'ValidationError'
+        this.errors = errors
+    }
+}
+
+
+
+/*
+* Marks an object validator as strict, so keys that the validator doesn't have are invalid.
+* Overrides the strict option for this object only, not for its sub objects.
+* 
+* example:
+*     {
+*         user: strict({
+*             name: 'string',
+*             role: '"admin"|"user"'
+*         })
+*     }
+*/
+export function strict(objectValidator) {
+    return Object.assign({[strictKey]: true}, objectValidator)
+}
+
+/*
+* Opposite of strict, allows unknown keys for this object, even when {strict: true} is passed
+*/
+export function loose(objectValidator) {
+    return Object.assign({[strictKey]: false}, objectValidator)
+}
+
+// symbol keys are skipped by for in loops, so getType and the key loops don't see it
+const strictKey = Symbol('strict')
+
+// returns true for strict(), false for loose() and undefined for other object validators
+export function getStrict(objectValidator) {
+    return objectValidator[strictKey]
+}
+
+function isStrictObject(objectValidator, opts) {
+    return objectValidator[strictKey] !== undefined
+        ? objectValidator[strictKey]
+        : opts.strict
+}
+
+
+
+/*
+* Creates a copy of inputData which only contains the keys the validator has.
+* (the strip mode of strict checking)
+* 
+* For unions and /each/ the first alternative that is valid is used to strip the value.
+* Values that don't match the validator are copied as they are, so call JSONCheck first
+* when the result has to be valid.
+* 
+* example:
+*     JSONStrip(
+*         {name: 'John', password: 'hunter2', adress: {city: 'Texas', internalId: 24}},
+*         {name: 'string', adress: {city: 'string'}}
+*     )
+*     
+*     output: {name: 'John', adress: {city: 'Texas'}}
+*/
+export function JSONStrip(inputData, validator) {
     
-    let validatorType = getType(validator)
+    if(getDefault(validator)) {
+        return JSONStrip(inputData, getDefault(validator).validator)
+    }
+    
+    validator = toUnion(resolveRef(validator))
+    const validatorType = getType(validator)
     const inputType = getType(inputData)
     
-    // turn validators like string|number into -> ['string', 'number']
-    {
-        if(validatorType == 'string' && validator.indexOf('|') != -1) {
-            validator = validator.split('|')
-            validatorType = getType(validator)
+    // records keep the keys that match the key validator
+    const recordInfo = getRecord(validator)
+    if(recordInfo && inputType == 'objectlike') {
+        const obj = {}
+        for(let k in inputData) {
+            if(JSONCheck(k, recordInfo.key)) {
+                obj[k] = JSONStrip(inputData[k], recordInfo.value)
+            }
+        }
+        return obj
+    }
+    
+    // tuples without rest drop the items after the positions
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo && inputType == 'arraylike') {
+        const {items, rest} = tupleInfo
+        const arr = rest === undefined
+            ? newArr(inputData).slice(0, items.length)
+            : newArr(inputData)
+        return arr.map((item, i) => JSONStrip(item, i < items.length ? items[i] : rest))
+    }
+    
+    if(validatorType == 'objectlike' && inputType == 'objectlike') {
+        const obj = {}
+        for(let k in validator) {
+            if(hasOwn(inputData, k)) {
+                obj[k] = JSONStrip(inputData[k], validator[k])
+            }
         }
+        return obj
+    }
+    
+    if(validatorType == 'arraylike') {
+        const opts = {strict: false}
+        for(let i = 0; i < validator.length; i++) {
+            const validatorItem = validator[i]
+            
+            if(inputType != 'arraylike') {
+                if(check(inputData, validatorItem, '', null, opts)) {
+                    return JSONStrip(inputData, validatorItem)
+                }
+                continue
+            }
+            
+            if(!checkArrayItem(inputData, validatorItem, '', null, opts)) {
+                continue
+            }
+            
+            if(isEach(validatorItem)) {
+                const validations = validatorItem.slice(1)
+                return newArr(inputData).map(item => {
+                    const validation = validations.find(v => check(item, v, '', null, opts))
+                    return JSONStrip(item, validation)
+                })
+            }
+            if(getType(validatorItem) == 'string' || getType(validatorItem) == 'function') {
+                return JSONStrip(inputData, validatorItem)
+            }
+            return newArr(inputData).map((item, index) => {
+                return index < validatorItem.length
+                    ? JSONStrip(item, validatorItem[index])
+                    : objDeepClone(item)
+            })
+        }
+    }
+    
+    return objDeepClone(inputData)
+}
+
+
+
+/*
+* Optional validator with a default value, for JSONCoerce.
+* Valid when the value is undefined or matches the validator, like 'undefined|' + validator.
+* 
+* example:
+*     {
+*         page: withDefault('integer(1..)', 1),
+*         sort: withDefault('"asc"|"desc"', 'asc')
+*     }
+*/
+export function withDefault(validator, defaultValue) {
+    const defaultCheck = inputData => inputData === undefined || JSONCheck(inputData, validator)
+    defaultCheck[defaultKey] = {validator, value: defaultValue}
+    return defaultCheck
+}
+
+const defaultKey = Symbol('default')
+
+// returns {validator, value} for withDefault validators, otherwise undefined
+export function getDefault(validator) {
+    return typeof validator == 'function'
+        ? validator[defaultKey]
+        : undefined
+}
+
+
+
+/*
+* Validator for objects with keys that aren't known up front, every key has to match keyValidator
+* and every value has to match valueValidator. An empty object is a valid record.
+* 
+* example:
+*     record('string(/^user-[0-9]+$/)', {name: 'string'})
+*/
+export function record(keyValidator, valueValidator) {
+    const recordCheck = inputData => JSONCheck(inputData, recordCheck)
+    recordCheck[recordKey] = {key: keyValidator, value: valueValidator}
+    return recordCheck
+}
+
+const recordKey = Symbol('record')
+
+// returns {key, value} for record validators, otherwise undefined
+export function getRecord(validator) {
+    return typeof validator == 'function'
+        ? validator[recordKey]
+        : undefined
+}
+
+/*
+* Validator for arrays with a fixed length, every position has its own validator.
+* When rest is given, the items after the positions have to match rest, otherwise they are invalid.
+* 
+* example:
+*     tuple(['number', 'number'])                  a point
+*     tuple(['string'], 'number|string')           a command with arguments
+*/
+export function tuple(items, rest) {
+    const tupleCheck = inputData => JSONCheck(inputData, tupleCheck)
+    tupleCheck[tupleKey] = {items, rest}
+    return tupleCheck
+}
+
+const tupleKey = Symbol('tuple')
+
+// returns {items, rest} for tuple validators, otherwise undefined
+export function getTuple(validator) {
+    return typeof validator == 'function'
+        ? validator[tupleKey]
+        : undefined
+}
+
+
+
+/*
+* Creates a cleaned copy of inputData, for data that arrives as strings (query strings, form input).
+* 
+*   - '42' becomes 42 where the validator is a number (or integer, or a number literal).
+*     only decimals like '-1.5' are numbers, so '0x10', '1e3', ' 42 ' and 'Infinity' stay strings
+*   - 'true' and 'false' become booleans where the validator is a boolean
+*   - 'null' becomes null where the validator is null
+*   - missing keys get the value of withDefault
+* 
+* output <object>
+*     {
+*         value: <the cleaned copy>,
+*         errors: <list of errors, like JSONCheckErrors, for the values that are still invalid>
+*     }
+* 
+* example:
+*     JSONCoerce(
+*         {page: '2', debug: 'true', rating: 'five'},
+*         {page: 'integer', debug: 'boolean', rating: 'number', sort: withDefault('"asc"|"desc"', 'asc')}
+*     )
+*     
+*     output:
+*     {
+*         value: {page: 2, debug: true, rating: 'five', sort: 'asc'},
+*         errors: [{path: 'rating', expected: 'number', actual: 'string', ...}]
+*     }
+* 
+* takes the same options as JSONCheck
+*/
+export function JSONCoerce(inputData, validator, {strict = false} = {}) {
+    const errors = []
+    const value = coerce(inputData, validator, '', errors, {strict})
+    return {value, errors}
+}
+
+function coerce(inputData, validator, path, errors, opts) {
+    
+    const defaultInfo = getDefault(validator)
+    if(defaultInfo) {
+        return inputData === undefined
+            ? objDeepClone(defaultInfo.value)
+            : coerce(inputData, defaultInfo.validator, path, errors, opts)
+    }
+    
+    validator = toUnion(resolveRef(validator))
+    const validatorType = getType(validator)
+    const inputType = getType(inputData)
+    
+    const recordInfo = getRecord(validator)
+    if(recordInfo && inputType == 'objectlike') {
+        const obj = {}
+        for(let k in inputData) {
+            const keyPath = joinPath(path, k)
+            if(check(k, recordInfo.key, keyPath, null, opts)) {
+                obj[k] = coerce(inputData[k], recordInfo.value, keyPath, errors, opts)
+            } else {
+                failKey(errors, keyPath, recordInfo.key, k)
+                obj[k] = inputData[k]
+            }
+        }
+        return obj
+    }
+    
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo && inputType == 'arraylike') {
+        const {items, rest} = tupleInfo
+        if(rest === undefined && inputData.length > items.length) {
+            failConstraint(errors, path, validator, inputData)
+        }
+        
+        const arr = []
+        for(let i = 0, len = Math.max(items.length, inputData.length); i < len; i++) {
+            const itemValidator = i < items.length ? items[i] : rest
+            const v = itemValidator === undefined
+                ? inputData[i]
+                : coerce(inputData[i], itemValidator, path + '[' + i + ']', errors, opts)
+            
+            // missing optional positions don't make the array longer
+            if(i < inputData.length || v !== undefined) {
+                arr[i] = v
+            }
+        }
+        return arr
     }
     
     if(validatorType == 'objectlike') {
-        if(inputType != 'objectlike') {return false}
+        // {} isn't objectlike, but it can be filled with defaults
+        if(inputType != 'objectlike' && inputType != 'Object') {
+            check(inputData, validator, path, errors, opts)
+            return inputData
+        }
+        
+        const obj = {}
+        for(let k in inputData) {
+            obj[k] = inputData[k]
+        }
+        for(let k in validator) {
+            const v = coerce(inputData[k], validator[k], joinPath(path, k), errors, opts)
+            if(v !== undefined || hasOwn(inputData, k)) {
+                obj[k] = v
+            }
+        }
+        
+        if(getType(obj) != 'objectlike') {
+            fail(errors, path, validator, obj)
+        }
+        if(isStrictObject(validator, opts)) {
+            for(let k in obj) {
+                if(!hasOwn(validator, k)) {
+                    failUnknownKey(errors, joinPath(path, k), obj[k])
+                }
+            }
+        }
+        return obj
+    }
+    
+    if(validatorType == 'arraylike') {
+        // values that are already valid are kept, so '42' stays a string for 'number|string'
+        const isContainer = inputType == 'arraylike' || inputType == 'objectlike' || inputType == 'Object'
+        if(!isContainer && check(inputData, validator, path, null, opts)) {
+            return inputData
+        }
+        
+        // the first alternative that can be coerced without errors
+        for(let i = 0; i < validator.length; i++) {
+            const itemErrors = []
+            const v = inputType == 'arraylike'
+                ? coerceArrayItem(inputData, validator[i], path, itemErrors, opts)
+                : coerce(inputData, validator[i], path, itemErrors, opts)
+            
+            if(itemErrors.length == 0 && check(v, validator, path, null, opts)) {
+                return v
+            }
+        }
+        check(inputData, validator, path, errors, opts)
+        return inputData
+    }
+    
+    if(check(inputData, validator, path, null, opts)) {
+        return inputData
+    }
+    
+    const coerced = coerceValue(inputData, validator)
+    if(coerced !== inputData && check(coerced, validator, path, null, opts)) {
+        return coerced
+    }
+    
+    check(inputData, validator, path, errors, opts)
+    return inputData
+}
+
+// same as checkArrayItem, for an arraylike inputData
+function coerceArrayItem(inputData, validatorItemArr, path, errors, opts) {
+    
+    // Each case, every item gets the first alternative that can be coerced
+    if(isEach(validatorItemArr)) {
+        const validations = validatorItemArr.slice(1)
+        return newArr(inputData).map((item, i) => {
+            const itemPath = path + '[' + i + ']'
+            for(let j = 0; j < validations.length; j++) {
+                const itemErrors = []
+                const v = coerce(item, validations[j], itemPath, itemErrors, opts)
+                if(itemErrors.length == 0) {
+                    return v
+                }
+            }
+            check(item, validations, itemPath, errors, opts)
+            return item
+        })
+    }
+    
+    const validatorItemArrType = getType(validatorItemArr)
+    if(validatorItemArrType == 'string' || validatorItemArrType == 'function') {
+        return coerce(inputData, validatorItemArr, path, errors, opts)
+    }
+    
+    const arr = newArr(inputData)
+    for(let i = 0; i < validatorItemArr.length; i++) {
+        arr[i] = coerce(inputData[i], validatorItemArr[i], path + '[' + i + ']', errors, opts)
+    }
+    return arr
+}
+
+// converts a string into the type of a type, constraint or literal validator, when possible
+function coerceValue(inputData, validator) {
+    if(typeof inputData != 'string') {
+        return inputData
+    }
+    
+    const type = getType(validator)
+    if(type == 'number' || type == 'boolean' || type == 'null') {
+        return String(validator) === inputData
+            ? validator
+            : inputData
+    }
+    if(type != 'string' || validator.indexOf('"') != -1) {
+        return inputData
+    }
+    
+    const constraint = parseConstraint(validator)
+    const baseType = constraint ? constraint.type : validator
+    
+    if(baseType == 'number' || baseType == 'integer') {
+        return /^-?(\d+(\.\d*)?|\.\d+)$/.test(inputData)
+            ? Number(inputData)
+            : inputData
+    }
+    if(baseType == 'boolean') {
+        if(inputData == 'true') {return true}
+        if(inputData == 'false') {return false}
+    }
+    if(baseType == 'null' && inputData == 'null') {
+        return null
+    }
+    return inputData
+}
+
+
+
+/*
+* Registers a validator under a name, so other validators can use it with @name
+* 
+* example:
+*     registerValidator('achievement', {
+*         date: 'string',
+*         id: 'number'
+*     })
+*     
+*     validator: {
+*         title: 'string',
+*         achievements: [[/each/, '@achievement']]
+*     }
+* 
+* Registering a name again replaces the validator.
+* Functions created by compile keep using the validator that was registered at the time of compiling.
+*/
+export function registerValidator(name, validator) {
+    if(!/^[\w-]+$/.test(name)) {
+        throw new Error('JSONCheck: invalid validator name: ' + name + ', only letters, numbers, _ and - are allowed')
+    }
+    registry[name] = validator
+}
+
+export function unregisterValidator(name) {
+    delete registry[name]
+}
+
+export function getRegisteredValidator(name) {
+    if(registry[name] === undefined) {
+        throw new Error('JSONCheck: no validator registered as @' + name)
+    }
+    return registry[name]
+}
+
+const registry = Object.create(null)
+
+function isRef(validator) {
+    return typeof validator == 'string' && validator.charAt(0) == '@'
+}
+
+// '@name' -> the registered validator, other validators are returned as they are
+function resolveRef(validator) {
+    const seen = []
+    while(isRef(validator)) {
+        if(seen.indexOf(validator) != -1) {
+            throw new Error('JSONCheck: validator ' + validator + ' refers to itself without any structure')
+        }
+        seen.push(validator)
+        validator = getRegisteredValidator(validator.slice(1))
+    }
+    return validator
+}
+
+
+
+// This function works by looping through the keys and such.
+// 
+// errors is null when only the boolean is needed, so it can stop at the first failure.
+// otherwise it collects every failure inside of errors
+function check(inputData, validator, path, errors, opts) {
+    
+    // turn validators like string|number into -> ['string', 'number']
+    validator = toUnion(resolveRef(validator))
+    
+    const validatorType = getType(validator)
+    const inputType = getType(inputData)
+    
+    if(validatorType == 'objectlike') {
+        if(inputType != 'objectlike') {
+            return fail(errors, path, validator, inputData)
+        }
+        let valid = true
         for(var k in validator) {
-            const valid = JSONCheck(inputData[k], validator[k])
-            if(valid == false) {
-                return false
+            if(!check(inputData[k], validator[k], joinPath(path, k), errors, opts)) {
+                if(errors == null) {return false}
+                valid = false
             }
         }
-        return true
+        
+        if(isStrictObject(validator, opts)) {
+            for(let k in inputData) {
+                if(!hasOwn(validator, k)) {
+                    if(errors == null) {return false}
+                    failUnknownKey(errors, joinPath(path, k), inputData[k])
+                    valid = false
+                }
+            }
+        }
+        return valid
     } else
     if(validatorType == 'arraylike') {
-        if(inputType == 'arraylike') {
-            
+        // at least 1 of the validator items has to be valid
+        const rejected = []
+        for(let i = 0; i < validator.length; i++) {
+            let itemErrors = errors && []
+            const valid = inputType == 'arraylike'
+                ? checkArrayItem(inputData, validator[i], path, itemErrors, opts)
+                : isEmptyEachMatch(inputData, validator[i]) || check(inputData, validator[i], path, itemErrors, opts)
             
-            var valid = validator.map(validatorItemArr => {
-                // Each case
-                if(
-                    getType(validatorItemArr[0]) == 'RegExp' && 
-                    validatorItemArr[0].toString() === '/each/')
-                {
-                    const validations = validatorItemArr.slice(1)
-                    const mapRes = inputData.map(inputDataItem => {
-                        return validations
-                            .map(validationItem => JSONCheck(inputDataItem, validationItem))
-                            .filter(valid => valid == true)
-                            .length > 0
-                    })
-                    return mapRes.filter(item => item == false).length == 0
+            if(valid) {return true}
+            if(errors) {
+                // an /each/ list got something that isn't arraylike, so report that instead of the each items
+                if(inputType != 'arraylike' && isEach(validator[i])) {
+                    itemErrors = []
+                    fail(itemErrors, path, validator[i], inputData)
                 }
-                
-                
-                // The not each case
-                const validArr = []
-                
-                const validatorItemArrType = getType(validatorItemArr)
-                if(validatorItemArrType == 'string') {
-                    return JSONCheck(inputData, validatorItemArr)
+                rejected.push({expected: describeValidator(validator[i]), errors: itemErrors})
+            }
+        }
+        return failAlternatives(errors, path, validator, inputData, rejected)
+    } else {
+        // optional with a default value
+        if(getDefault(validator)) {
+            return inputData === undefined || check(inputData, getDefault(validator).validator, path, errors, opts)
+        }
+        
+        // record
+        const recordInfo = getRecord(validator)
+        if(recordInfo) {
+            if(inputType != 'objectlike' && inputType != 'Object') {
+                return fail(errors, path, validator, inputData)
+            }
+            let valid = true
+            for(let k in inputData) {
+                const keyPath = joinPath(path, k)
+                if(!check(k, recordInfo.key, keyPath, null, opts)) {
+                    if(errors == null) {return false}
+                    failKey(errors, keyPath, recordInfo.key, k)
+                    valid = false
+                } else
+                if(!check(inputData[k], recordInfo.value, keyPath, errors, opts)) {
+                    if(errors == null) {return false}
+                    valid = false
                 }
-                // depth 1
-                for(let i = 0; i < validatorItemArr.length; i++) {
-                    // depth 2
-                    validArr[i] = JSONCheck(inputData[i], validatorItemArr[i])
+            }
+            return valid
+        }
+        
+        // tuple
+        const tupleInfo = getTuple(validator)
+        if(tupleInfo) {
+            if(inputType != 'arraylike' && inputType != 'Array') {
+                return fail(errors, path, validator, inputData)
+            }
+            const {items, rest} = tupleInfo
+            if(rest === undefined && inputData.length > items.length) {
+                return failConstraint(errors, path, validator, inputData)
+            }
+            let valid = true
+            for(let i = 0, len = Math.max(items.length, inputData.length); i < len; i++) {
+                const itemValidator = i < items.length ? items[i] : rest
+                if(!check(inputData[i], itemValidator, path + '[' + i + ']', errors, opts)) {
+                    if(errors == null) {return false}
+                    valid = false
                 }
-                
-                // if more than 0 items are false, return false else true
-                return validArr.filter(item => item == false).length == 0 
-            })
-            
-            // at least 1 true
-            return valid.filter(validItem => validItem == true).length > 0
+            }
+            return valid
+        }
+        
+        // predicate
+        if(validatorType == 'function') {
+            return Boolean(validator(inputData)) || fail(errors, path, validator, inputData)
+        }
+        
+        // constraint based compare
+        if(validatorType == 'string') {
+            const constraintCheck = getConstraintCheck(validator)
+            if(constraintCheck) {
+                return constraintCheck(inputData) || failConstraint(errors, path, validator, inputData)
+            }
         }
         
-        return validator.map(validatorItem => JSONCheck(inputData, validatorItem))
-            .filter(bool => bool == true)
-            .length > 0
-    } else {
         // type based compare
         if(validatorType == 'string') {
             if(validator.indexOf('"') == '-1') {
                 if(inputType === validator) {
                     return true
                 } else {
-                    return false
+                    return fail(errors, path, validator, inputData)
                 }
             }
         }
@@ -299,6 +962,816 @@ export function JSONCheck(inputData, validator) {
         if(validatorType == 'string') {
             validatorVal = validator.split('"').join('')
         }
-        return inputData === validatorVal
+        return inputData === validatorVal || fail(errors, path, validator, inputData)
+    }
+}
+
+// checks an arraylike inputData against 1 item of an array validator
+function checkArrayItem(inputData, validatorItemArr, path, errors, opts) {
+    
+    // Each case
+    if(isEach(validatorItemArr)) {
+        const range = getEachRange(validatorItemArr)
+        if(range && !isNumberBetween(inputData.length, range.min, range.max)) {
+            return failConstraint(errors, path, validatorItemArr, inputData)
+        }
+        
+        const validations = validatorItemArr.slice(1)
+        let valid = true
+        for(let i = 0; i < inputData.length; i++) {
+            const itemPath = path + '[' + i + ']'
+            const rejected = []
+            let itemValid = false
+            for(let j = 0; j < validations.length; j++) {
+                const itemErrors = errors && []
+                if(check(inputData[i], validations[j], itemPath, itemErrors, opts)) {
+                    itemValid = true
+                    break
+                }
+                if(errors) {
+                    rejected.push({expected: describeValidator(validations[j]), errors: itemErrors})
+                }
+            }
+            if(!itemValid) {
+                if(errors == null) {return false}
+                failAlternatives(errors, itemPath, validations, inputData[i], rejected)
+                valid = false
+            }
+        }
+        return valid
+    }
+    
+    // The not each case
+    const validatorItemArrType = getType(validatorItemArr)
+    if(validatorItemArrType == 'string' || validatorItemArrType == 'function') {
+        return check(inputData, validatorItemArr, path, errors, opts)
+    }
+    
+    let valid = true
+    for(let i = 0; i < validatorItemArr.length; i++) {
+        if(!check(inputData[i], validatorItemArr[i], path + '[' + i + ']', errors, opts)) {
+            if(errors == null) {return false}
+            valid = false
+        }
+    }
+    return valid
+}
+
+// whether a validator item is an /each/ list, like [/each/, 'string', 'number']
+export function isEach(validatorItemArr) {
+    return (
+        getType(validatorItemArr) == 'arraylike' &&
+        getType(validatorItemArr[0]) == 'RegExp' && 
+        eachRe.test(validatorItemArr[0].toString())
+    )
+}
+
+// matches /each/ and /each(1..10)/
+const eachRe = /^\/each(\(.*\))?\/$/
+
+// returns {min, max} for /each(1..10)/, or null for /each/
+export function getEachRange(validatorItemArr) {
+    const match = eachRe.exec(validatorItemArr[0].toString())
+    return match[1]
+        ? parseRange(match[1].slice(1, -1), validatorItemArr[0].toString())
+        : null
+}
+
+// empty arrays are not arraylike, but they are valid for /each(0..n)/
+function isEmptyEachMatch(inputData, validatorItem) {
+    if(getType(inputData) != 'Array' || !isEach(validatorItem)) {return false}
+    const range = getEachRange(validatorItem)
+    return range != null && isNumberBetween(0, range.min, range.max)
+}
+
+// 'string|number' -> ['string', 'number'], ignores | inside of parentheses like 'string(/a|b/)'
+// other validators are returned as they are
+export function toUnion(validator) {
+    if(typeof validator != 'string' || validator.indexOf('|') == -1) {
+        return validator
+    }
+    
+    const parts = []
+    let depth = 0
+    let start = 0
+    for(let i = 0; i < validator.length; i++) {
+        const char = validator[i]
+        if(char == '(') {depth++} else
+        if(char == ')') {depth--} else
+        if(char == '|' && depth <= 0) {
+            parts.push(validator.slice(start, i))
+            start = i + 1
+        }
+    }
+    parts.push(validator.slice(start))
+    
+    return parts.length > 1 ? parts : validator
+}
+
+// Turns constraint validators like 'number(0..5)' into a check function.
+// returns null for validators without a constraint, like 'number' or '"paypal"'
+function getConstraintCheck(validator) {
+    if(constraintChecks[validator] !== undefined) {
+        return constraintChecks[validator]
+    }
+    
+    let constraintCheck = null
+    const constraint = parseConstraint(validator)
+    if(constraint) {
+        const {type, min, max, pattern} = constraint
+        
+        if(type == 'number') {
+            constraintCheck = v => typeof v == 'number' && isNumberBetween(v, min, max)
+        } else
+        if(type == 'integer') {
+            constraintCheck = v => Number.isInteger(v) && isNumberBetween(v, min, max)
+        } else
+        if(type == 'string') {
+            constraintCheck = pattern
+                ? v => typeof v == 'string' && pattern.test(v)
+                : v => typeof v == 'string' && isNumberBetween(v.length, min, max)
+        } else {
+            constraintCheck = v => {
+                const type = getType(v)
+                return (type == 'arraylike' || type == 'Array') && isNumberBetween(v.length, min, max)
+            }
+        }
+    }
+    
+    constraintChecks[validator] = constraintCheck
+    return constraintCheck
+}
+
+/*
+* Parses a constraint validator
+* 
+*     parseConstraint('number(0..5)')      > {type: 'number', min: 0, max: 5, pattern: null}
+*     parseConstraint('string(/^[a-z]/)')  > {type: 'string', min: -Infinity, max: Infinity, pattern: /^[a-z]/}
+*     parseConstraint('number')            > null
+* 
+* throws for invalid constraints, like 'boolean(1..2)'
+*/
+export function parseConstraint(validator) {
+    const match = /^(\w+)(?:\((.*)\))?$/.exec(validator)
+    if(!match || (match[2] === undefined && match[1] != 'integer')) {
+        return null
+    }
+    
+    const type = match[1]
+    const inner = match[2]
+    
+    if(['number', 'integer', 'string', 'arraylike'].indexOf(type) == -1) {
+        throw new Error('JSONCheck: type ' + type + ' doesn\'t support constraints, in validator: ' + validator)
+    }
+    
+    const patternMatch = inner !== undefined && /^\/(.*)\/([a-z]*)$/.exec(inner)
+    const pattern = patternMatch
+        ? new RegExp(patternMatch[1], patternMatch[2].replace(/[gy]/g, ''))
+        : null
+    if(pattern && type != 'string') {
+        throw new Error('JSONCheck: only strings support patterns, in validator: ' + validator)
+    }
+    
+    const {min, max} = inner !== undefined && !pattern
+        ? parseRange(inner, validator)
+        : {min: -Infinity, max: Infinity}
+    
+    return {type, min, max, pattern}
+}
+
+const constraintChecks = Object.create(null)
+
+// '0..5' -> {min: 0, max: 5}, '1..' -> {min: 1, max: Infinity}, '8' -> {min: 8, max: 8}
+function parseRange(rangeStr, validator) {
+    const parts = rangeStr.split('..')
+    if(parts.length > 2) {
+        throw new Error('JSONCheck: invalid range in validator: ' + validator)
+    }
+    
+    const min = parts[0] === '' ? -Infinity : Number(parts[0])
+    const max = parts.length == 1
+        ? min
+        : parts[1] === '' ? Infinity : Number(parts[1])
+    
+    if(min !== min || max !== max) {
+        throw new Error('JSONCheck: invalid range in validator: ' + validator)
+    }
+    return {min, max}
+}
+
+function fail(errors, path, validator, value, alternatives) {
+    if(errors == null) {return false}
+    
+    const expected = describeValidator(validator)
+    const actual = getType(value)
+    const error = {
+        path,
+        expected,
+        actual,
+        value,
+        message: alternatives
+            ? (path || 'input') + ': none of ' + expected + ' matched, got ' + actual
+            : (path || 'input') + ': expected ' + expected + ', got ' + actual,
+    }
+    if(alternatives) {
+        error.alternatives = alternatives
+    }
+    errors.push(error)
+    return false
+}
+
+// same as fail, but the message shows the value, because the type itself can be right
+function failConstraint(errors, path, validator, value) {
+    if(errors == null) {return false}
+    
+    fail(errors, path, validator, value)
+    const error = errors[errors.length - 1]
+    const type = getType(value)
+    
+    let got = error.actual
+    if(type == 'string') {got += ' ' + JSON.stringify(value)} else
+    if(type == 'number') {got += ' ' + String(value)} else
+    if(type == 'arraylike' || type == 'Array') {got += ' with ' + value.length + ' items'}
+    
+    error.message = (path || 'input') + ': expected ' + error.expected + ', got ' + got
+    return false
+}
+
+// a union with 1 option is reported as that option, otherwise as a list of rejected alternatives
+function failAlternatives(errors, path, validators, value, rejected) {
+    if(errors == null) {return false}
+    
+    if(rejected.length == 1) {
+        rejected[0].errors.forEach(error => errors.push(error))
+        return false
+    }
+    return fail(errors, path, validators, value, rejected)
+}
+
+function failKey(errors, path, keyValidator, key) {
+    const expected = describeValidator(keyValidator)
+    errors.push({
+        path,
+        expected: 'key ' + expected,
+        actual: 'string',
+        value: key,
+        message: path + ': key ' + JSON.stringify(key) + ' doesn\'t match ' + expected,
+    })
+    return false
+}
+
+function failUnknownKey(errors, path, value) {
+    errors.push({
+        path,
+        expected: 'undefined',
+        actual: getType(value),
+        value,
+        message: path + ': unknown key',
+    })
+    return false
+}
+
+function hasOwn(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key)
+}
+
+function joinPath(path, key) {
+    if(/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return path ? path + '.' + key : key
+    }
+    return path + '[' + JSON.stringify(key) + ']'
+}
+
+// creates a short description of a validator for error messages
+function describeValidator(validator) {
+    const type = getType(validator)
+    
+    if(type == 'string') {return validator}
+    if(getDefault(validator)) {return 'undefined|' + describeValidator(getDefault(validator).validator)}
+    if(getRecord(validator)) {
+        const {key, value} = getRecord(validator)
+        return 'record(' + describeValidator(key) + ', ' + describeValidator(value) + ')'
+    }
+    if(getTuple(validator)) {
+        const {items, rest} = getTuple(validator)
+        const parts = items.map(describeValidator)
+        if(rest !== undefined) {
+            parts.push('...' + describeValidator(rest))
+        }
+        return 'tuple(' + parts.join(', ') + ')'
+    }
+    if(type == 'function') {return (validator.name || 'predicate') + '()'}
+    if(type == 'objectlike') {return 'objectlike'}
+    if(type == 'arraylike') {
+        if(isEach(validator)) {
+            const range = getEachRange(validator)
+            return 'each(' + validator.slice(1).map(describeValidator).join('|') + ')' +
+                (range ? ' with ' + eachRe.exec(validator[0].toString())[1].slice(1, -1) + ' items' : '')
+        }
+        return validator.map(describeValidator).join('|')
+    }
+    return String(validator)
+}
+
+
+
+/*
+* Turns a validator into a function that checks inputData, with the same result as JSONCheck.
+* 
+* JSONCheck works out the validator on every call (splitting 'string|number', finding /each/ etc.).
+* compile does that once, which is a lot faster when checking many values against the same validator.
+* 
+* example:
+*     const isProduct = compile({title: 'string', price: 'number'})
+*     
+*     isProduct({title: 'GTA V', price: 59.99})   > true
+*     isProduct({title: 'GTA V'})                 > false
+* 
+* takes the same options as JSONCheck: compile(validator, {strict: true})
+*/
+export function compile(validator, {strict = false} = {}) {
+    return compileNode(validator, {strict, refs: Object.create(null)})
+}
+
+function compileNode(validator, opts) {
+    
+    // named validators are compiled once, and looked up when called so they can refer to themselves
+    if(isRef(validator)) {
+        const name = validator.slice(1)
+        if(opts.refs[name] === undefined) {
+            let compiled
+            opts.refs[name] = inputData => compiled(inputData)
+            compiled = compileNode(getRegisteredValidator(name), opts)
+        }
+        return opts.refs[name]
+    }
+    
+    validator = toUnion(validator)
+    const validatorType = getType(validator)
+    
+    if(validatorType == 'objectlike') {
+        const keys = []
+        const checks = []
+        const known = Object.create(null)
+        for(let k in validator) {
+            keys.push(k)
+            checks.push(compileNode(validator[k], opts))
+            known[k] = true
+        }
+        const isStrict = isStrictObject(validator, opts)
+        const len = keys.length
+        
+        return inputData => {
+            if(getType(inputData) != 'objectlike') {return false}
+            for(let i = 0; i < len; i++) {
+                if(!checks[i](inputData[keys[i]])) {return false}
+            }
+            if(isStrict) {
+                for(let k in inputData) {
+                    if(known[k] !== true) {return false}
+                }
+            }
+            return true
+        }
+    }
+    
+    if(validatorType == 'arraylike') {
+        const arrayChecks = []
+        const otherChecks = []
+        for(let i = 0; i < validator.length; i++) {
+            arrayChecks.push(compileArrayItem(validator[i], opts))
+            
+            const otherCheck = compileNode(validator[i], opts)
+            const range = isEach(validator[i]) && getEachRange(validator[i])
+            otherChecks.push(range && isNumberBetween(0, range.min, range.max)
+                ? inputData => getType(inputData) == 'Array' || otherCheck(inputData)
+                : otherCheck)
+        }
+        const len = validator.length
+        
+        return inputData => {
+            const checks = getType(inputData) == 'arraylike' ? arrayChecks : otherChecks
+            for(let i = 0; i < len; i++) {
+                if(checks[i](inputData)) {return true}
+            }
+            return false
+        }
+    }
+    
+    // optional with a default value
+    if(getDefault(validator)) {
+        const defaultCheck = compileNode(getDefault(validator).validator, opts)
+        return inputData => inputData === undefined || defaultCheck(inputData)
+    }
+    
+    // record
+    const recordInfo = getRecord(validator)
+    if(recordInfo) {
+        const keyCheck = compileNode(recordInfo.key, opts)
+        const valueCheck = compileNode(recordInfo.value, opts)
+        return inputData => {
+            const inputType = getType(inputData)
+            if(inputType != 'objectlike' && inputType != 'Object') {return false}
+            for(let k in inputData) {
+                if(!keyCheck(k) || !valueCheck(inputData[k])) {return false}
+            }
+            return true
+        }
+    }
+    
+    // tuple
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo) {
+        const itemChecks = tupleInfo.items.map(item => compileNode(item, opts))
+        const restCheck = tupleInfo.rest !== undefined && compileNode(tupleInfo.rest, opts)
+        const itemsLen = itemChecks.length
+        return inputData => {
+            const inputType = getType(inputData)
+            if(inputType != 'arraylike' && inputType != 'Array') {return false}
+            if(!restCheck && inputData.length > itemsLen) {return false}
+            for(let i = 0, len = Math.max(itemsLen, inputData.length); i < len; i++) {
+                if(!(i < itemsLen ? itemChecks[i] : restCheck)(inputData[i])) {return false}
+            }
+            return true
+        }
+    }
+    
+    // predicate
+    if(validatorType == 'function') {
+        return inputData => Boolean(validator(inputData))
+    }
+    
+    // constraint based compare
+    const constraintCheck = validatorType == 'string' && getConstraintCheck(validator)
+    if(constraintCheck) {
+        return constraintCheck
+    }
+    
+    // type based compare
+    if(validatorType == 'string' && validator.indexOf('"') == -1) {
+        switch(validator) {
+            case 'string':
+            case 'number':
+            case 'boolean':
+            case 'undefined':
+            case 'function':
+            case 'symbol':
+                return inputData => typeof inputData === validator
+            case 'null':
+                return inputData => inputData === null
+            default:
+                return inputData => getType(inputData) === validator
+        }
     }
+    
+    // value based compare
+    const validatorVal = validatorType == 'string'
+        ? validator.split('"').join('')
+        : validator
+    return inputData => inputData === validatorVal
 }
+
+// same as checkArrayItem, for an arraylike inputData
+function compileArrayItem(validatorItemArr, opts) {
+    
+    // Each case
+    if(isEach(validatorItemArr)) {
+        const validations = validatorItemArr.slice(1).map(item => compileNode(item, opts))
+        const validationsLen = validations.length
+        const {min, max} = getEachRange(validatorItemArr) || {min: 0, max: Infinity}
+        
+        return inputData => {
+            if(!isNumberBetween(inputData.length, min, max)) {return false}
+            for(let i = 0, len = inputData.length; i < len; i++) {
+                const item = inputData[i]
+                let itemValid = false
+                for(let j = 0; j < validationsLen; j++) {
+                    if(validations[j](item)) {
+                        itemValid = true
+                        break
+                    }
+                }
+                if(!itemValid) {return false}
+            }
+            return true
+        }
+    }
+    
+    // The not each case
+    if(getType(validatorItemArr) == 'string' || getType(validatorItemArr) == 'function') {
+        return compileNode(validatorItemArr, opts)
+    }
+    
+    const checks = []
+    for(let i = 0; i < validatorItemArr.length; i++) {
+        checks.push(compileNode(validatorItemArr[i], opts))
+    }
+    const len = checks.length
+    
+    return inputData => {
+        for(let i = 0; i < len; i++) {
+            if(!checks[i](inputData[i])) {return false}
+        }
+        return true
+    }
+}
+
+
+
+export const JSONCheckTests = (function(){
+    
+    const tests = [
+        {
+            input: [{name: 'John Doe', age: 32}, {name: 'string', age: 'number'}],
+            exout: true,
+        },
+        {
+            input: [{name: 'John Doe'}, {name: 'string', age: 'number'}],
+            exout: false,
+        },
+        {
+            input: [{name: 'John Doe'}, {name: 'string', age: 'undefined|number'}],
+            exout: true,
+        },
+        {
+            input: ['paypal', '"paypal"'],
+            exout: true,
+        },
+        {
+            input: ['Game', ['"Game"', '"software"']],
+            exout: true,
+        },
+        {
+            input: [[{id: 1}, {id: 2}], [[/each/, {id: 'number'}]]],
+            exout: true,
+        },
+        {
+            input: [[{id: 1}, {id: '2'}], [[/each/, {id: 'number'}]]],
+            exout: false,
+        },
+        {
+            input: [['a', 2], [['string', 'number']]],
+            exout: true,
+        },
+        {
+            input: [{name: 'John', admin: true}, {name: 'string'}, {strict: true}],
+            exout: false,
+        },
+        {
+            input: [{user: {name: 'John', admin: true}}, {user: strict({name: 'string'})}],
+            exout: false,
+        },
+        {
+            input: [{user: {name: 'John', admin: true}}, {user: loose({name: 'string'})}, {strict: true}],
+            exout: true,
+        },
+    
+        // constraints
+        {
+            input: [{rating: 4}, {rating: 'number(0..5)'}],
+            exout: true,
+        },
+        {
+            input: [{rating: 6}, {rating: 'number(0..5)'}],
+            exout: false,
+        },
+        {
+            input: [2.5, 'integer'],
+            exout: false,
+        },
+        {
+            input: ['245-acd', 'string(/^[0-9]+-[a-z]+$/)'],
+            exout: true,
+        },
+        {
+            input: ['abcd', 'string(..3)|number'],
+            exout: false,
+        },
+        {
+            input: ['b', 'string(/a|b/)|number'],
+            exout: true,
+        },
+        {
+            input: [[1, 2, 3], 'arraylike(1..2)'],
+            exout: false,
+        },
+        {
+            input: [[], [[/each(0..3)/, 'number']]],
+            exout: true,
+        },
+        {
+            input: [[1, 2, 3, 4], [[/each(0..3)/, 'number']]],
+            exout: false,
+        },
+    ]
+    
+    // named and recursive validators, only registered while their test runs
+    {
+        const setup = () => {
+            registerValidator('JSONCheckTests-comment', {
+                text: 'string',
+                replies: [[/each(0..)/, '@JSONCheckTests-comment']]
+            })
+            return () => unregisterValidator('JSONCheckTests-comment')
+        }
+        tests.push({
+            input: [{text: 'a', replies: [{text: 'b', replies: []}]}, '@JSONCheckTests-comment'],
+            exout: true,
+            setup,
+        })
+        tests.push({
+            input: [{text: 'a', replies: [{text: 'b', replies: [{text: 24, replies: []}]}]}, '@JSONCheckTests-comment'],
+            exout: false,
+            setup,
+        })
+    }
+    
+    // records and tuples
+    {
+        const salesPerDay = record('string(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)', {sales: 'number'})
+        tests.push({
+            input: [{'2017-02-03': {sales: 24}, '2017-02-04': {sales: 30}}, salesPerDay],
+            exout: true,
+        })
+        tests.push({
+            input: [{'2017-02-03': {sales: 24}, 'yesterday': {sales: 30}}, salesPerDay],
+            exout: false,
+        })
+        tests.push({
+            input: [['a', 1], tuple(['string', 'number'])],
+            exout: true,
+        })
+        tests.push({
+            input: [['a', 1, 2], tuple(['string', 'number'])],
+            exout: false,
+        })
+        tests.push({
+            input: [['a', 1, 2], tuple(['string'], 'number')],
+            exout: true,
+        })
+    }
+    
+    // predicates
+    {
+        const isEmail = value => typeof value == 'string' && /^[^@]+@[^@]+$/.test(value)
+        tests.push({
+            input: [{'e-mail': 'name@example.org'}, {'e-mail': isEmail}],
+            exout: true,
+        })
+        tests.push({
+            input: [{'e-mail': 'name.example.org'}, {'e-mail': isEmail}],
+            exout: false,
+        })
+    }
+    
+    return tests
+})()
+
+// the same cases as JSONCheck, through the compiled check
+export const compileTests = JSONCheckTests.map(test => {
+    const [inputData, validator, opts] = test.input
+    const compileTest = {
+        args: [validator, opts],
+        use: check => check(inputData),
+        exout: test.exout,
+    }
+    if(test.setup) {
+        compileTest.setup = test.setup
+    }
+    return compileTest
+})
+
+export const JSONCheckErrorsTests = [
+    {
+        input: [{name: 'John Doe', adress: {postal: 7148}}, {name: 'string', adress: {postal: 'string'}}],
+        exout: [
+            {
+                path: 'adress.postal',
+                expected: 'string',
+                actual: 'number',
+                value: 7148,
+                message: 'adress.postal: expected string, got number',
+            },
+        ],
+    },
+    {
+        input: [{products: [{id: 1}, {id: '2'}]}, {products: [[/each/, {id: 'number'}]]}],
+        exout: [
+            {
+                path: 'products[1].id',
+                expected: 'number',
+                actual: 'string',
+                value: '2',
+                message: 'products[1].id: expected number, got string',
+            },
+        ],
+    },
+    {
+        input: [{'e-mail': 5}, {'e-mail': 'undefined|string'}],
+        exout: [
+            {
+                path: '["e-mail"]',
+                expected: 'undefined|string',
+                actual: 'number',
+                value: 5,
+                message: '["e-mail"]: none of undefined|string matched, got number',
+                alternatives: [
+                    {
+                        expected: 'undefined',
+                        errors: [{
+                            path: '["e-mail"]',
+                            expected: 'undefined',
+                            actual: 'number',
+                            value: 5,
+                            message: '["e-mail"]: expected undefined, got number',
+                        }],
+                    },
+                    {
+                        expected: 'string',
+                        errors: [{
+                            path: '["e-mail"]',
+                            expected: 'string',
+                            actual: 'number',
+                            value: 5,
+                            message: '["e-mail"]: expected string, got number',
+                        }],
+                    },
+                ],
+            },
+        ],
+    },
+    {
+        input: [{rating: 9}, {rating: 'number(0..5)'}],
+        exout: [
+            {
+                path: 'rating',
+                expected: 'number(0..5)',
+                actual: 'number',
+                value: 9,
+                message: 'rating: expected number(0..5), got number 9',
+            },
+        ],
+    },
+]
+
+export const JSONCoerceTests = [
+    {
+        input: [
+            {page: '2', debug: 'false', rating: 'five', code: '0123'},
+            {page: 'integer(1..)', debug: 'boolean', rating: 'number', code: 'number|string', sort: withDefault('"asc"|"desc"', 'asc')},
+        ],
+        exout: {
+            value: {page: 2, debug: false, rating: 'five', code: '0123', sort: 'asc'},
+            errors: [
+                {
+                    path: 'rating',
+                    expected: 'number',
+                    actual: 'string',
+                    value: 'five',
+                    message: 'rating: expected number, got string',
+                },
+            ],
+        },
+    },
+    {
+        input: [['-1.5', '.5', '2.', '007'], [[/each/, 'number']]],
+        exout: {value: [-1.5, 0.5, 2, 7], errors: []},
+    },
+    {
+        // only decimals are numbers, the paths of the errors show which stayed strings
+        input: [
+            {hex: '0x10', exponent: '1e3', spaces: ' 42 ', empty: '', infinity: 'Infinity', plus: '+1'},
+            {hex: 'integer', exponent: 'number', spaces: 'number', empty: 'number', infinity: 'number', plus: 'number'},
+        ],
+        use: ({value, errors}) => [value, errors.map(error => error.path)],
+        exout: [
+            {hex: '0x10', exponent: '1e3', spaces: ' 42 ', empty: '', infinity: 'Infinity', plus: '+1'},
+            ['hex', 'exponent', 'spaces', 'empty', 'infinity', 'plus'],
+        ],
+    },
+    {
+        input: [{price: '19.95', limit: '10', on: 'true', off: 'null'}, {price: 'number(0..)', limit: 10, on: 'boolean', off: 'null'}],
+        exout: {
+            value: {price: 19.95, limit: 10, on: true, off: null},
+            errors: [],
+        },
+    },
+]
+
+export const JSONStripTests = [
+    {
+        input: [{name: 'John', password: 'hunter2'}, {name: 'string'}],
+        exout: {name: 'John'},
+    },
+    {
+        input: [
+            {list: [{id: 1, secret: 'a'}, {code: 'x', secret: 'b'}]},
+            {list: [[/each/, {id: 'number'}, {code: 'string'}]]}
+        ],
+        exout: {list: [{id: 1}, {code: 'x'}]},
+    },
+    {
+        input: [{type: 'Game', internalId: 24}, [{type: '"software"'}, {type: '"Game"'}]],
+        exout: {type: 'Game'},
+    },
+]
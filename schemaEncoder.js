@@ -0,0 +1,500 @@
+//
+//  Compact version of stringEncoder, for data with a known shape
+//
+//  stringEncoder writes a type prefix for every value, and every key of every object.
+//  When a JSONCheck validator already tells what the data looks like, most of that can be left out:
+//    - values with a fixed type don't get a prefix, and literals like '"paypal"' aren't written at all
+//    - objects are written as their values, in the key order of the validator
+//    - unions only write the number of the alternative that matched
+//
+//  @example
+//    const validator = {
+//      method: '"paypal"|"card"',
+//      amount: 'number',
+//      tags: [[/each/, 'string']],
+//    }
+//
+//    encodeWithSchema({method: 'card', amount: 12.5, tags: ['a', 'bc']}, validator)
+//      > '1|12.5;2;1:a2:bc'
+//
+//    stringEncoder.encode gives '2o6:methods4:card6:amountn12.5;4:tagsas1:as2:bc]}' for the same data
+//
+//  The same validator has to be used to decode, the output doesn't describe itself.
+//
+//  encodeWithSchema checks the data with JSONCheck in strict mode first, and throws a ValidationError
+//  when it doesn't match, because keys that the validator doesn't have can't be written.
+//  Values that the validator doesn't describe, like 'objectlike' or predicates, are written with stringEncoder.
+//
+import { getType } from '@/scripts/util/helpers.js'
+import { stringEncoder, DecodeError } from '@/scripts/util/stringEncoder.js'
+import {
+    JSONCheck, JSONAssert, toUnion, isEach, parseConstraint, getStrict, getDefault, getRecord, getTuple, getRegisteredValidator,
+} from '@/scripts/util/json-validator.js'
+
+
+export function encodeWithSchema(data, validator) {
+    JSONAssert(data, validator, {strict: true})
+
+    const out = []
+    encodeNode(data, validator, out)
+    return out.join('')
+}
+
+/**
+ * @desc
+ *   Decodes the output of encodeWithSchema, with the same validator.
+ *   Throws a DecodeError when the string doesn't fit the validator.
+ */
+export function decodeWithSchema(dataStr, validator) {
+    const reader = createReader(dataStr)
+    const data = decodeNode(validator, reader, '')
+    if(reader.i < dataStr.length) {
+        reader.fail('', 'unexpected characters after the value')
+    }
+    return data
+}
+
+
+
+function encodeNode(data, validator, out) {
+    const defaultInfo = getDefault(validator)
+    if(defaultInfo) {
+        // 0 when it's left out, 1 and the value otherwise
+        if(data === undefined) {
+            out.push('0')
+        } else {
+            out.push('1')
+            encodeNode(data, defaultInfo.validator, out)
+        }
+        return
+    }
+
+    const recordInfo = getRecord(validator)
+    if(recordInfo) {
+        const keys = Object.keys(data)
+        out.push(keys.length, ';')
+        keys.forEach(k => {
+            encodeNode(k, recordInfo.key, out)
+            encodeNode(data[k], recordInfo.value, out)
+        })
+        return
+    }
+
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo) {
+        // the length, because the optional positions at the end can be left out
+        out.push(data.length, ';')
+        for(let i = 0; i < data.length; i++) {
+            encodeNode(data[i], i < tupleInfo.items.length ? tupleInfo.items[i] : tupleInfo.rest, out)
+        }
+        return
+    }
+
+    if(typeof validator == 'string' && validator.charAt(0) == '@') {
+        encodeNode(data, getRegisteredValidator(validator.slice(1)), out)
+        return
+    }
+
+    validator = toUnion(validator)
+    const type = getType(validator)
+
+    if(type == 'arraylike') {
+        encodeUnion(data, validator, out)
+    } else
+    if(type == 'objectlike') {
+        for(let k in validator) {
+            encodeNode(data[k], validator[k], out)
+        }
+        // loose objects can have other keys
+        if(getStrict(validator) === false) {
+            const extraKeys = Object.keys(data).filter(k => !(k in validator))
+            out.push(extraKeys.length, ';')
+            extraKeys.forEach(k => {
+                out.push(k.length, ':', k)
+                encodeAny(data[k], out)
+            })
+        }
+    } else
+    if(type == 'string') {
+        encodeLeaf(data, validator, out)
+    } else
+    if(type == 'function') {
+        // predicates don't tell the type
+        encodeAny(data, out)
+    }
+    // other literals (5, true, null) are not written
+}
+
+// Union alternatives are checked differently for arrays and other values,
+// like an array validator with fixed positions is a list of alternatives for values that aren't arrays.
+// Those matches are written with stringEncoder, after a *
+function isPlainMatch(data, alternative) {
+    const alternativeType = getType(alternative)
+    const isArray = getType(data) == 'arraylike'
+
+    if(alternativeType == 'string' || alternativeType == 'function') {
+        return true
+    }
+    if(alternativeType == 'arraylike') {
+        // [] is only an array for /each(0..n)/
+        return isArray || (getType(data) == 'Array' && isEach(alternative) && JSONCheck(data, [alternative]))
+    }
+    return !isArray
+}
+
+// whether the union writes which alternative matched, a single string or function alternative doesn't need it
+function needsIndex(alternatives) {
+    if(alternatives.length > 1) {return true}
+    const alternativeType = getType(alternatives[0])
+    return alternativeType != 'string' && alternativeType != 'function' && alternativeType != 'arraylike'
+}
+
+// writes the number of the first alternative that matches, and the value for that alternative
+function encodeUnion(data, alternatives, out) {
+    const index = alternatives.findIndex(alternative => JSONCheck(data, [alternative], {strict: true}))
+    const alternative = alternatives[index]
+
+    if(!isPlainMatch(data, alternative)) {
+        out.push('*')
+        encodeAny(data, out)
+        return
+    }
+    if(needsIndex(alternatives)) {
+        out.push(index, '|')
+    }
+
+    if(getType(alternative) != 'arraylike') {
+        encodeNode(data, alternative, out)
+        return
+    }
+
+    out.push(data.length, ';')
+    if(isEach(alternative)) {
+        // every item matches 1 of the validations
+        const validations = alternative.slice(1)
+        for(let i = 0; i < data.length; i++) {
+            const validationIndex = validations.findIndex(validation => JSONCheck(data[i], validation, {strict: true}))
+            if(validations.length > 1) {
+                out.push(validationIndex, '|')
+            }
+            encodeNode(data[i], validations[validationIndex], out)
+        }
+    } else {
+        // fixed positions, the items after them can be anything
+        for(let i = 0; i < data.length; i++) {
+            i < alternative.length
+                ? encodeNode(data[i], alternative[i], out)
+                : encodeAny(data[i], out)
+        }
+    }
+}
+
+function encodeLeaf(data, validator, out) {
+    const type = leafType(validator)
+
+    // literals like '"paypal"'
+    if(type === undefined) {return}
+
+    switch(type) {
+        case 'string':
+            out.push(data.length, ':', data)
+            return
+        case 'number':
+        case 'integer':
+            out.push(Object.is(data, -0) ? '-0' : String(data), ';')
+            return
+        case 'boolean':
+            out.push(data ? '1' : '0')
+            return
+        case 'null':
+        case 'undefined':
+        case 'Array':
+        case 'Object':
+            return
+        case 'Date':
+            out.push(String(data.getTime()), ';')
+            return
+    }
+    encodeAny(data, out)
+}
+
+// 'string(3..20)' -> 'string', undefined for literals like '"paypal"'
+function leafType(validator) {
+    const constraint = parseConstraint(validator)
+    if(constraint) {
+        return constraint.type
+    }
+    return validator.indexOf('"') == -1 ? validator : undefined
+}
+
+// values without a fixed type are written with stringEncoder, with the length in front
+function encodeAny(data, out) {
+    const encoded = stringEncoder.encode(data)
+    out.push(encoded.length, ':', encoded)
+}
+
+
+
+function createReader(dataStr) {
+    const reader = {
+        i: 0,
+        fail(path, reason, start = reader.i) {
+            throw new DecodeError({prefix: undefined, path, substring: dataStr.slice(start), position: start, reason})
+        },
+        readUntil(char, path) {
+            const end = dataStr.indexOf(char, reader.i)
+            if(end == -1) {
+                reader.fail(path, 'missing ' + char)
+            }
+            const part = dataStr.slice(reader.i, end)
+            reader.i = end + 1
+            return part
+        },
+        readCount(char, path) {
+            const start = reader.i
+            const countStr = reader.readUntil(char, path)
+            if(!/^\d+$/.test(countStr)) {
+                reader.fail(path, 'expected a number before ' + char, start)
+            }
+            return Number(countStr)
+        },
+        readSized(path) {
+            const start = reader.i
+            const length = reader.readCount(':', path)
+            if(reader.i + length > dataStr.length) {
+                reader.fail(path, 'expected ' + length + ' characters', start)
+            }
+            const part = dataStr.slice(reader.i, reader.i + length)
+            reader.i += length
+            return part
+        },
+        readIndex(alternativeCount, path) {
+            const start = reader.i
+            const index = reader.readCount('|', path)
+            if(index >= alternativeCount) {
+                reader.fail(path, 'there is no alternative ' + index, start)
+            }
+            return index
+        },
+        readChar() {
+            return dataStr.charAt(reader.i++)
+        },
+        peek() {
+            return dataStr.charAt(reader.i)
+        },
+    }
+    return reader
+}
+
+function decodeNode(validator, reader, path) {
+    const defaultInfo = getDefault(validator)
+    if(defaultInfo) {
+        const char = reader.readChar()
+        if(char !== '0' && char !== '1') {
+            reader.fail(path, 'expected 1 or 0', reader.i - 1)
+        }
+        return char === '1'
+            ? decodeNode(defaultInfo.validator, reader, path)
+            : undefined
+    }
+
+    const recordInfo = getRecord(validator)
+    if(recordInfo) {
+        const obj = {}
+        const count = reader.readCount(';', path)
+        for(let i = 0; i < count; i++) {
+            const k = decodeNode(recordInfo.key, reader, path)
+            obj[k] = decodeNode(recordInfo.value, reader, joinPath(path, k))
+        }
+        return obj
+    }
+
+    const tupleInfo = getTuple(validator)
+    if(tupleInfo) {
+        const arr = []
+        const length = reader.readCount(';', path)
+        for(let i = 0; i < length; i++) {
+            arr.push(decodeNode(i < tupleInfo.items.length ? tupleInfo.items[i] : tupleInfo.rest, reader, joinPath(path, i)))
+        }
+        return arr
+    }
+
+    if(typeof validator == 'string' && validator.charAt(0) == '@') {
+        return decodeNode(getRegisteredValidator(validator.slice(1)), reader, path)
+    }
+
+    validator = toUnion(validator)
+    const type = getType(validator)
+
+    if(type == 'arraylike') {
+        return decodeUnion(validator, reader, path)
+    }
+    if(type == 'objectlike') {
+        const obj = {}
+        for(let k in validator) {
+            const v = decodeNode(validator[k], reader, joinPath(path, k))
+            if(v !== undefined) {
+                obj[k] = v
+            }
+        }
+        // {} isn't objectlike, the data had at least 1 key that was undefined
+        if(Object.keys(obj).length == 0) {
+            for(let k in validator) {
+                obj[k] = undefined
+                break
+            }
+        }
+        if(getStrict(validator) === false) {
+            const count = reader.readCount(';', path)
+            for(let i = 0; i < count; i++) {
+                const k = reader.readSized(path)
+                obj[k] = decodeAny(reader, joinPath(path, k))
+            }
+        }
+        return obj
+    }
+    if(type == 'string') {
+        return decodeLeaf(validator, reader, path)
+    }
+    if(type == 'function') {
+        return decodeAny(reader, path)
+    }
+    return validator
+}
+
+function decodeUnion(alternatives, reader, path) {
+    // a single string or function alternative is never written with a *, and literals aren't written at all
+    const canBeAny = needsIndex(alternatives) || getType(alternatives[0]) == 'arraylike'
+    if(canBeAny && reader.peek() === '*') {
+        reader.readChar()
+        return decodeAny(reader, path)
+    }
+
+    let index = 0
+    if(needsIndex(alternatives)) {
+        index = reader.readIndex(alternatives.length, path)
+    }
+    const alternative = alternatives[index]
+
+    if(getType(alternative) != 'arraylike') {
+        return decodeNode(alternative, reader, path)
+    }
+
+    const arr = []
+    const length = reader.readCount(';', path)
+    if(isEach(alternative)) {
+        const validations = alternative.slice(1)
+        for(let i = 0; i < length; i++) {
+            const validationIndex = validations.length > 1
+                ? reader.readIndex(validations.length, joinPath(path, i))
+                : 0
+            arr.push(decodeNode(validations[validationIndex], reader, joinPath(path, i)))
+        }
+    } else {
+        for(let i = 0; i < length; i++) {
+            arr.push(i < alternative.length
+                ? decodeNode(alternative[i], reader, joinPath(path, i))
+                : decodeAny(reader, joinPath(path, i)))
+        }
+    }
+    return arr
+}
+
+function decodeLeaf(validator, reader, path) {
+    const type = leafType(validator)
+
+    if(type === undefined) {
+        return validator.split('"').join('')
+    }
+
+    switch(type) {
+        case 'string':
+            return reader.readSized(path)
+        case 'number':
+        case 'integer': {
+            const start = reader.i
+            const numberStr = reader.readUntil(';', path)
+            if(numberStr !== '-0' && String(Number(numberStr)) !== numberStr) {
+                reader.fail(path, 'expected a number', start)
+            }
+            return Number(numberStr)
+        }
+        case 'boolean': {
+            const char = reader.readChar()
+            if(char !== '1' && char !== '0') {
+                reader.fail(path, 'expected 1 or 0', reader.i - 1)
+            }
+            return char === '1'
+        }
+        case 'null':
+            return null
+        case 'undefined':
+            return undefined
+        case 'Array':
+            return []
+        case 'Object':
+            return {}
+        case 'Date':
+            return new Date(Number(reader.readUntil(';', path)))
+    }
+    return decodeAny(reader, path)
+}
+
+function decodeAny(reader, path) {
+    const start = reader.i
+    const result = stringEncoder.tryDecode(reader.readSized(path))
+    if(!result.ok) {
+        reader.fail(path, result.error.reason, start)
+    }
+    return result.value
+}
+
+// the same paths as JSONCheckErrors, like list[0].name
+function joinPath(path, key) {
+    if(/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return path ? path + '.' + key : key
+    }
+    return path + '[' + JSON.stringify(key) + ']'
+}
+
+
+
+import { record, tuple, withDefault } from '@/scripts/util/json-validator.js'
+
+export const encodeWithSchemaTests = [
+    {
+        input: [{method: 'card', amount: 12.5, tags: ['a', 'bc']}, {
+            method: '"paypal"|"card"',
+            amount: 'number',
+            tags: [[/each/, 'string']],
+        }],
+        exout: '1|12.5;2;1:a2:bc',
+    },
+    {
+        // the key that is left out is the undefined alternative
+        input: [{title: 'GTA V', type: 'Game'}, {title: 'string', comment: 'undefined|string', type: '"Game"'}],
+        exout: '5:GTA V0|',
+    },
+    {
+        input: [[{id: 1, done: true}, 'later'], [[/each/, {id: 'integer', done: 'boolean'}, 'string']]],
+        exout: '2;0|1;11|5:later',
+    },
+    {
+        input: [{scores: {ann: 3, bob: 5}, range: [1]}, {
+            scores: record('string', 'integer'),
+            range: tuple(['number', 'undefined|number']),
+            sort: withDefault('"asc"|"desc"', 'asc'),
+        }],
+        exout: '2;3:ann3;3:bob5;1;1;0',
+    },
+    {
+        // objectlike has no fixed type, so it uses stringEncoder
+        input: [{meta: {a: 1}}, {meta: 'objectlike'}],
+        exout: '9:2o1:an1;}',
+    },
+]
+
+export const decodeWithSchemaTests = encodeWithSchemaTests.map(test => ({
+    input: [test.exout, test.input[1]],
+    exout: test.input[0],
+}))
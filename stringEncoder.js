@@ -6,6 +6,51 @@
 //  
 //  'false' and false would be the same thing if encoded and back
 //
+//  Besides the JSON types, it also keeps these built-ins:
+//  Date, RegExp, Map, Set, BigInt, ArrayBuffer, typed arrays (Uint8Array etc), -0 and Infinity
+//
+//  Objects that are used more than once are encoded once, the next times they become a reference (r + number).
+//  So circular objects can be encoded, and shared objects are still the same object after decode.
+//
+//  Formats
+//    1: every level is a JSON string of encoded strings, so the escaping doubles with every level.
+//       still written by encodeV1, and decode reads it
+//    2: the default. starts with 2, and writes the whole tree in one pass without escaping.
+//       strings have their length in front of them, containers end with ] or }
+//
+//         encode({k: 24, list: ['a', true]})   > '2o1:kn24;4:listas1:ab1]}'
+//
+//  Classes
+//    Instances of your own classes become plain objects, unless the class is registered with a tag.
+//    serialize creates a new encodable value of the instance, revive creates an instance of it again:
+//
+//         registerClass('Money', Money, {
+//             serialize: money => ({amount: money.amount, currency: money.currency}),
+//             revive: ({amount, currency}) => new Money(amount, currency),
+//         })
+//
+//    The instance is created after its serialized value is decoded,
+//    so references to the instance from inside of its own serialized value can't be restored.
+//
+//  Corrupt data
+//    decode guesses where it can, like 'bmaybe' > false. Values it can't decode, like unknown prefixes,
+//    are logged and decoded as undefined, the values around them are still decoded.
+//    When the structure itself is broken, like a missing ; in format 2, the whole payload is undefined.
+//    decode(str, {strict: true}) throws a DecodeError instead, with the prefix, the path and the substring.
+//    tryDecode(str) is the strict decode that returns {ok, value, error}
+//
+//  Versions
+//    encode and encodeV1 can add the version of your own data to the header, after the format:
+//
+//         encode({name: 'bob'}, {version: 3})   > '2v3;o4:names3:bob}'
+//
+//    decode runs the migrations that are registered with registerMigration on versioned payloads,
+//    one version at a time. Payloads without a version are never migrated.
+//
+//         registerMigration(3, user => ({firstName: user.name}))   // from version 3 to 4
+//         decode('2v3;o4:names3:bob}')                   > {firstName: 'bob'}
+//         decode('2v3;o4:names3:bob}', {version: 3})     > {name: 'bob'}, migrates up to version 3
+//
 import { getType } from '@/scripts/util/helpers.js'
 
 const typeChars = {
@@ -18,111 +63,932 @@ const typeChars = {
     objectlike: 'o',
     Array:      'a',
     arraylike:  'a',
+    bigint:     'B',
+    Date:       'D',
+    RegExp:     'R',
+    Map:        'M',
+    Set:        'S',
+    ArrayBuffer:'A',
+    TypedArray: 'T',
+    Class:      'C',
+}
+
+const typedArrayNames = [
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+    'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+]
+
+// registered classes and typed arrays with items would be objectlike and arraylike for getType,
+// so they are checked first
+function getEncodeType(data) {
+    if(data != null && classTags.has(data.constructor)) {
+        return 'Class'
+    }
+    if(ArrayBuffer.isView(data) && !(data instanceof DataView)) {
+        return 'TypedArray'
+    }
+    return getType(data)
 }
 
 export const stringEncoder = {
-    encode (data) {
-        const type = getType(data)
-        const prefixChar = typeChars[type]
+    encode (data, {version} = {}) {
+        const out = ['2' + versionHeader(version)]
+        encodeFlat(data, new Map(), out)
+        return out.join('')
+    },
+    
+    // writes format 1, for readers that don't know format 2 yet
+    encodeV1 (data, {version} = {}) {
+        const encoded = encodeValue(data, new Map())
+        return version === undefined
+            ? encoded
+            : '1' + versionHeader(version) + encoded
+    },
+    
+    // options:
+    //   - version: the version to migrate up to, by default it runs all of the migrations it can
+    //   - migrations: object with a migration per version, instead of the registered migrations
+    //   - strict: throw a DecodeError for anything that encode doesn't write,
+    //     instead of logging it and returning undefined, or guessing like 'bmaybe' > false
+    decode (dataStr, options) {
+        const {version, migrations = registeredMigrations, strict = false} = options || {}
+        if(typeof dataStr != 'string') {
+            return decodeValue(dataStr, {refs: [], strict}, '')
+        }
         
-        if(typeChars[type] === undefined) {
-            console.error('type: ' + type + " not yet supported in stringEncoder.encode!")
+        const header = stringEncoder.readHeader(dataStr)
+        const data = header.format === 2
+            ? decodeFlat(dataStr, header.length, strict)
+            : decodeValue(dataStr.slice(header.length), {refs: [], strict}, '')
+        
+        return header.version === undefined
+            ? data
+            : migrate(data, header.version, version, migrations)
+    },
+    
+    // strict decode that doesn't throw, returns {ok: true, value} or {ok: false, error}
+    tryDecode (dataStr, options) {
+        try {
+            const value = stringEncoder.decode(dataStr, Object.assign({}, options, {strict: true}))
+            return {ok: true, value, error: undefined}
+        }
+        catch (error) {
+            return {ok: false, value: undefined, error}
+        }
+    },
+    
+    // '2v3;o...' > {format: 2, version: 3, length: 4}, length is the length of the header
+    readHeader (dataStr) {
+        const format = dataStr.charAt(0)
+        if(format !== '1' && format !== '2') {
+            // format 1 from before versioning
+            return {format: 1, version: undefined, length: 0}
         }
         
-        switch(prefixChar) {
-            case 's': // string
-            case 'b': // boolean
-            case 'n': // number
-            case 'N': // null
-            case 'u': // undefined
-                return prefixChar + String(data)
-            case 'a': {
-                // 1. encode the sub keys
-                const step1 = data.map(stringEncoder.encode)
-                
-                // 2. encode JSON
-                return 'a' + JSON.stringify(step1)
+        const match = /^v(\d+);/.exec(dataStr.slice(1))
+        return {
+            format: Number(format),
+            version: match ? Number(match[1]) : undefined,
+            length: 1 + (match ? match[0].length : 0),
+        }
+    },
+}
+
+export class DecodeError extends Error {
+    // prefix: the type prefix of the value, path: where the value is, like list[0].name,
+    // substring: the encoded value, position: where it starts (format 2)
+    constructor({prefix, path, substring, position, reason}) {
+        const shortSubstring = substring.length > 40
+            ? substring.slice(0, 40) + '...'
+            : substring
+        super('stringEncoder.decode: ' + (path || 'input') + ': ' + reason + ', in ' + JSON.stringify(shortSubstring))
+        this.name = 'DecodeError'
+        this.prefix = prefix
+        this.path = path
+        this.substring = substring
+        this.position = position
+        this.reason = reason
+    }
+}
+
+function versionHeader(version) {
+    if(version === undefined) {
+        return ''
+    }
+    if(!Number.isInteger(version) || version < 0) {
+        throw new Error('stringEncoder.encode: version has to be an integer of 0 or higher, got ' + version)
+    }
+    return 'v' + version + ';'
+}
+
+
+
+// Classes
+
+const registeredClasses = Object.create(null)
+const classTags = new Map()
+
+/**
+ * @input options <object>
+ *   - serialize: instance -> a new value that stringEncoder can encode, a copy of the own keys by default
+ *   - revive: decoded value -> instance, by default the own keys are copied onto an object with the prototype of the class
+ */
+export function registerClass(tag, Class, {
+    serialize = instance => Object.assign({}, instance),
+    revive = value => Object.assign(Object.create(Class.prototype), value),
+} = {}) {
+    if(!/^[\w-]+$/.test(tag)) {
+        throw new Error('stringEncoder: invalid class tag: ' + tag + ', only letters, numbers, _ and - are allowed')
+    }
+    unregisterClass(tag)
+    registeredClasses[tag] = {Class, serialize, revive}
+    classTags.set(Class, tag)
+}
+
+export function unregisterClass(tag) {
+    if(registeredClasses[tag]) {
+        classTags.delete(registeredClasses[tag].Class)
+        delete registeredClasses[tag]
+    }
+}
+
+function serializeInstance(data) {
+    const tag = classTags.get(data.constructor)
+    return {tag, value: registeredClasses[tag].serialize(data)}
+}
+
+// fail is called for unknown tags in strict mode, otherwise it logs and returns the decoded value
+function reviveInstance(tag, value, strict, fail) {
+    if(!registeredClasses[tag]) {
+        if(strict) {fail('no class registered as ' + tag)}
+        console.error('class: ' + tag + ' is not registered, stringEncoder.decode returns it as a plain value')
+        return value
+    }
+    return registeredClasses[tag].revive(value)
+}
+
+
+
+// Migrations
+
+const registeredMigrations = Object.create(null)
+
+// migrate is called with data of version fromVersion, and returns the data for version fromVersion + 1
+export function registerMigration(fromVersion, migrate) {
+    if(!Number.isInteger(fromVersion) || fromVersion < 0) {
+        throw new Error('stringEncoder: version has to be an integer of 0 or higher, got ' + fromVersion)
+    }
+    registeredMigrations[fromVersion] = migrate
+}
+
+export function unregisterMigration(fromVersion) {
+    delete registeredMigrations[fromVersion]
+}
+
+function migrate(data, fromVersion, toVersion, migrations) {
+    if(toVersion !== undefined && fromVersion > toVersion) {
+        throw new Error('stringEncoder.decode: the data has version ' + fromVersion + ', which is newer than version ' + toVersion)
+    }
+    
+    let version = fromVersion
+    while(toVersion === undefined ? migrations[version] : version < toVersion) {
+        if(!migrations[version]) {
+            throw new Error('stringEncoder.decode: no migration from version ' + version + ' to ' + (version + 1))
+        }
+        data = migrations[version](data)
+        version++
+    }
+    return data
+}
+
+
+
+// seen: Map of every object that was encoded so far, to its reference number.
+// The numbers are given in the order the objects are found, decode finds them in the same order.
+function encodeValue(data, seen) {
+    if(seen.has(data)) {
+        // shared or circular reference
+        return 'r' + seen.get(data)
+    }
+    
+    const encode = v => encodeValue(v, seen)
+    const type = getEncodeType(data)
+    const prefixChar = typeChars[type]
+    
+    if(typeChars[type] === undefined) {
+        console.error('type: ' + type + " not yet supported in stringEncoder.encode!")
+    } else
+    if(typeof data == 'object' && data !== null) {
+        // only objects that decode creates get a number, so the numbers stay the same in decode
+        seen.set(data, seen.size)
+    }
+    
+    switch(prefixChar) {
+        case 's': // string
+        case 'b': // boolean
+        case 'N': // null
+        case 'u': // undefined
+        case 'B': // bigint
+        case 'R': // RegExp, /source/flags
+            return prefixChar + String(data)
+        case 'n': // number, String(-0) is '0'
+            return 'n' + (Object.is(data, -0) ? '-0' : String(data))
+        case 'D': // Date, as a timestamp so invalid dates become DNaN
+            return 'D' + String(data.getTime())
+        case 'M': {
+            // entries, keys can be any type
+            const step1 = Array.from(data, ([k, v]) => [encode(k), encode(v)])
+            return 'M' + JSON.stringify(step1)
+        }
+        case 'S': {
+            const step1 = Array.from(data, encode)
+            return 'S' + JSON.stringify(step1)
+        }
+        case 'A': // ArrayBuffer, as a list of bytes
+            return 'A' + JSON.stringify(Array.from(new Uint8Array(data)))
+        case 'T': {
+            // Uint8Array[...], the items are encoded so NaN and bigints survive
+            const step1 = Array.from(data, encode)
+            return 'T' + Object.prototype.toString.call(data).slice(8, -1) + JSON.stringify(step1)
+        }
+        case 'C': {
+            // ["tag", "encoded value"]
+            const {tag, value} = serializeInstance(data)
+            return 'C' + JSON.stringify([tag, encode(value)])
+        }
+        case 'a': {
+            // 1. encode the sub keys
+            const step1 = Array.from(data, encode)
+            
+            // 2. encode JSON
+            return 'a' + JSON.stringify(step1)
+        }
+        case 'o': {
+            // 1. encode the sub keys
+            const step1 = {}
+            for(let k in data) {
+                const v = data[k]
+                const encodedV = encode(v)
+                step1[k] = encodedV
             }
-            case 'o': {
-                // 1. encode the sub keys
-                const step1 = {}
-                for(let k in data) {
-                    const v = data[k]
-                    const encodedV = stringEncoder.encode(v)
-                    step1[k] = encodedV
-                }
-                
-                // 2. encode JSON
-                return 'o' + JSON.stringify(step1)
+            
+            // 2. encode JSON
+            return 'o' + JSON.stringify(step1)
+        }
+    }
+}
+
+// ctx.refs: list of every decoded object, in the order they were encoded.
+// Containers are added before their sub keys are decoded, so sub keys can refer to them.
+// ctx.strict: throw a DecodeError for values that encode never writes, like 'bmaybe' and 'nabc'
+// without strict a value that can't be read is logged and decoded as undefined,
+// the values around it are still decoded
+function decodeValue(dataStr, ctx, path) {
+    try {
+        return readValue(dataStr, ctx, path)
+    }
+    catch (error) {
+        if(ctx.strict || !(error instanceof DecodeError)) {
+            throw error
+        }
+        console.error(error.message)
+        return undefined
+    }
+}
+
+function readValue(dataStr, ctx, path) {
+    if(typeof dataStr != 'string') {
+        // the null that JSON.stringify writes for functions in lists
+        if(dataStr === null && !ctx.strict) {
+            return null
+        }
+        throw new DecodeError({
+            prefix: undefined, path, substring: String(dataStr),
+            reason: 'expected an encoded string, got ' + getType(dataStr),
+        })
+    }
+    
+    let prefixChar = dataStr.charAt(0)
+    let data = dataStr.slice(1)
+    
+    const fail = reason => {
+        throw new DecodeError({prefix: prefixChar, path, substring: dataStr, reason})
+    }
+    const check = (valid, reason) => {
+        if(ctx.strict && !valid) {fail(reason)}
+    }
+    // the JSON of containers, isValid checks its shape
+    const parseJSON = (isValid, expected) => {
+        let parsed
+        try {
+            parsed = JSON.parse(data)
+        }
+        catch (error) {
+            fail('invalid JSON, ' + error.message)
+        }
+        if(!isValid(parsed)) {
+            fail('expected JSON with ' + expected)
+        }
+        return parsed
+    }
+    // without strict the lists can have the null that JSON.stringify writes for functions
+    const isStringList = parsed => Array.isArray(parsed) && parsed.every(v => typeof v == 'string' || (v === null && !ctx.strict))
+    
+    const decode = (v, key) => decodeValue(v, ctx, joinPath(path, key))
+    
+    let output
+    switch(prefixChar) {
+        case 's':
+            output = data
+            break
+        case 'b':
+            check(data === 'true' || data === 'false', 'expected true or false')
+            output = data === 'true' 
+                ? true
+                : false
+            break
+        case 'n':
+            check(isNumberString(data), 'expected a number')
+            output = Number(data)
+            break
+        case 'N':
+            check(data === 'null', 'expected null')
+            output = null
+            break
+        case 'u':
+            check(data === 'undefined', 'expected undefined')
+            output = undefined
+            break
+        case 'B':
+            if(!/^-?\d+$/.test(data)) {fail('expected a bigint')}
+            output = BigInt(data)
+            break
+        case 'r':
+            check(/^\d+$/.test(data) && Number(data) < ctx.refs.length, 'expected the number of an earlier object')
+            output = ctx.refs[Number(data)]
+            break
+        case 'D':
+            check(isNumberString(data), 'expected a timestamp')
+            output = new Date(Number(data))
+            ctx.refs.push(output)
+            break
+        case 'R': {
+            // its place in refs is taken first, so the next objects keep their number when it fails
+            const refIndex = ctx.refs.length
+            ctx.refs.push(undefined)
+            const flagsStart = data.lastIndexOf('/')
+            if(data.charAt(0) != '/' || flagsStart < 1) {fail('expected /source/flags')}
+            try {
+                output = new RegExp(data.slice(1, flagsStart), data.slice(flagsStart + 1))
             }
+            catch (error) {
+                fail(error.message)
+            }
+            ctx.refs[refIndex] = output
+            break
         }
-        
-    },
+        case 'M': {
+            output = new Map()
+            ctx.refs.push(output)
+            parseJSON(
+                parsed => Array.isArray(parsed) && parsed.every(entry => isStringList(entry) && entry.length == 2),
+                'a list of [key, value]'
+            )
+                .forEach(([k, v], i) => {
+                    const entryPath = joinPath(path, i)
+                    output.set(
+                        decodeValue(k, ctx, joinPath(entryPath, 'key')),
+                        decodeValue(v, ctx, joinPath(entryPath, 'value'))
+                    )
+                })
+            break
+        }
+        case 'S': {
+            output = new Set()
+            ctx.refs.push(output)
+            parseJSON(isStringList, 'a list of strings').forEach((v, i) => output.add(decode(v, i)))
+            break
+        }
+        case 'A': {
+            const refIndex = ctx.refs.length
+            ctx.refs.push(undefined)
+            output = new Uint8Array(parseJSON(
+                parsed => Array.isArray(parsed) && parsed.every(v => Number.isInteger(v) && v >= 0 && v < 256),
+                'a list of bytes'
+            )).buffer
+            ctx.refs[refIndex] = output
+            break
+        }
+        case 'T': {
+            // the items are numbers or bigints, so taking its place in refs first keeps the order
+            const refIndex = ctx.refs.length
+            ctx.refs.push(undefined)
+            const name = /^\w*/.exec(data)[0]
+            if(typedArrayNames.indexOf(name) == -1) {
+                fail('typed array ' + name + ' is not supported')
+            }
+            data = data.slice(name.length)
+            const items = parseJSON(isStringList, 'a list of strings').map(decode)
+            try {
+                output = globalThis[name].from(items)
+            }
+            catch (error) {
+                fail(error.message)
+            }
+            ctx.refs[refIndex] = output
+            break
+        }
+        case 'C': {
+            const [tag, encodedValue] = parseJSON(
+                parsed => isStringList(parsed) && parsed.length == 2 && typeof parsed[0] == 'string',
+                'a list of [tag, value]'
+            )
+            // the instance is encoded before its value, so its place in refs is taken first
+            const refIndex = ctx.refs.length
+            ctx.refs.push(undefined)
+            output = reviveInstance(tag, decodeValue(encodedValue, ctx, path), ctx.strict, fail)
+            ctx.refs[refIndex] = output
+            break
+        }
+        case 'a': {
+            const step2 = []
+            ctx.refs.push(step2)
+            
+            // 1. parse JSON
+            const step1 = parseJSON(isStringList, 'a list of strings')
+            
+            // 2. decode subkeys
+            step1.forEach((v, i) => step2.push(decode(v, i)))
+            
+            return step2
+            
+        }
+        case 'o': {
+            const step2 = {}
+            ctx.refs.push(step2)
+            
+            // 1. parse JOSN
+            let step1 = parseJSON(
+                parsed => getType(parsed) == 'objectlike' || getType(parsed) == 'Object',
+                'an object'
+            )
+            
+            // 2. decode subkeys
+            for(let k in step1) {
+                const v = step1[k]
+                const decodedV = decode(v, k)
+                Object.defineProperty(step2, k, {value: decodedV, writable: true, enumerable: true, configurable: true})
+            }
+            
+            return step2
+        }
+        default:
+            fail(prefixChar === '' ? 'missing value' : 'unknown prefix')
+    }
     
-    decode (dataStr) {
-        if(dataStr == null) return null
-        
-        let prefixChar = dataStr.charAt(0)
-        let data = dataStr.slice(1)
+    return output
+}
+
+// only the numbers that encode writes, so not '', ' 1' or '0x10'
+function isNumberString(str) {
+    return str === '-0' || String(Number(str)) === str
+}
+
+// the same paths as JSONCheckErrors, like list[0].name
+function joinPath(path, key) {
+    if(/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return path ? path + '.' + key : key
+    }
+    return path + '[' + JSON.stringify(key) + ']'
+}
+
+
+
+
+// Format 2
+//
+// The same prefixes as format 1, but written after each other:
+//   s<length>:<string>   n<number>;   b1 b0   N   u   B<bigint>;   D<timestamp>;   R<length>:/<source>/<flags>
+//   A<byte>,<byte>;   r<reference>;   C<length>:<tag><value>
+//   a<items>]   S<items>]   T<name>;<items>]   o(<length>:<key><value>)}   M(<key><value>)}
+
+function encodeFlat(data, seen, out) {
+    if(seen.has(data)) {
+        out.push('r', seen.get(data), ';')
+        return
+    }
+    
+    const type = getEncodeType(data)
+    const prefixChar = typeChars[type]
+    
+    // the same as encodeValue, unsupported objects are written as u and don't get a number
+    if(prefixChar !== undefined && typeof data == 'object' && data !== null) {
+        seen.set(data, seen.size)
+    }
+    
+    switch(prefixChar) {
+        case 's':
+            out.push('s', data.length, ':', data)
+            break
+        case 'b':
+            out.push(data ? 'b1' : 'b0')
+            break
+        case 'N':
+        case 'u':
+            out.push(prefixChar)
+            break
+        case 'n':
+            out.push('n', Object.is(data, -0) ? '-0' : String(data), ';')
+            break
+        case 'B':
+            out.push('B', String(data), ';')
+            break
+        case 'D':
+            out.push('D', String(data.getTime()), ';')
+            break
+        case 'R': {
+            const str = String(data)
+            out.push('R', str.length, ':', str)
+            break
+        }
+        case 'A':
+            out.push('A', Array.from(new Uint8Array(data)).join(','), ';')
+            break
+        case 'a':
+            out.push('a')
+            // arraylike doesn't have to be iterable
+            for(let i = 0; i < data.length; i++) {
+                encodeFlat(data[i], seen, out)
+            }
+            out.push(']')
+            break
+        case 'S':
+            out.push('S')
+            data.forEach(v => encodeFlat(v, seen, out))
+            out.push(']')
+            break
+        case 'T':
+            out.push('T', Object.prototype.toString.call(data).slice(8, -1), ';')
+            data.forEach(v => encodeFlat(v, seen, out))
+            out.push(']')
+            break
+        case 'C': {
+            const {tag, value} = serializeInstance(data)
+            out.push('C', tag.length, ':', tag)
+            encodeFlat(value, seen, out)
+            break
+        }
+        case 'o':
+            out.push('o')
+            for(let k in data) {
+                out.push(k.length, ':', k)
+                encodeFlat(data[k], seen, out)
+            }
+            out.push('}')
+            break
+        case 'M':
+            out.push('M')
+            data.forEach((v, k) => {
+                encodeFlat(k, seen, out)
+                encodeFlat(v, seen, out)
+            })
+            out.push('}')
+            break
+        default:
+            console.error('type: ' + type + " not yet supported in stringEncoder.encode!")
+            out.push('u')
+    }
+}
+
+// start: the position after the header
+function decodeFlat(dataStr, start, strict) {
+    const refs = []
+    let i = start
+    
+    // valueStart, prefixChar and path belong to the value that is being read
+    let valueStart = i
+    let prefixChar
+    let path = ''
+    
+    const createError = reason => {
+        return new DecodeError({prefix: prefixChar, path, substring: dataStr.slice(valueStart), position: valueStart, reason})
+    }
+    const fail = reason => {
+        throw createError(reason)
+    }
+    const check = (valid, reason) => {
+        if(strict && !valid) {fail(reason)}
+    }
+    // for a value that is read, but can't be decoded. without strict it's logged and decoded as undefined,
+    // like decodeValue does. Errors in the structure, like a missing ; are failed, because nothing after them can be read
+    const skip = reason => {
+        if(strict) {fail(reason)}
+        console.error(createError(reason).message)
+        return undefined
+    }
+    
+    const readUntil = char => {
+        const end = dataStr.indexOf(char, i)
+        if(end == -1) {
+            fail('missing ' + char)
+        }
+        const part = dataStr.slice(i, end)
+        i = end + 1
+        return part
+    }
+    const readSized = () => {
+        const lengthStr = readUntil(':')
+        if(!/^\d+$/.test(lengthStr) || i + Number(lengthStr) > dataStr.length) {
+            fail('invalid length ' + lengthStr)
+        }
+        const part = dataStr.slice(i, i + Number(lengthStr))
+        i += Number(lengthStr)
+        return part
+    }
+    
+    // calls readItem until the end char of the container
+    const readItems = (endChar, readItem) => {
+        const container = {valueStart, prefixChar, path}
+        for(let index = 0; dataStr.charAt(i) !== endChar; index++) {
+            if(i >= dataStr.length) {
+                fail('missing ' + endChar + ' at the end')
+            }
+            readItem(index)
+            ;({valueStart, prefixChar, path} = container)
+        }
+        i++
+    }
+    
+    const readValue = valuePath => {
+        valueStart = i
+        prefixChar = dataStr.charAt(i++)
+        path = valuePath
         
-        let output
         switch(prefixChar) {
             case 's':
-                output = data
-                break
-            case 'b':
-                output = data === 'true' 
-                    ? true
-                    : false
-                break
-            case 'n':
-                output = Number(data)
-                break
+                return readSized()
+            case 'b': {
+                const char = dataStr.charAt(i++)
+                check(char === '1' || char === '0', 'expected 1 or 0')
+                return char === '1'
+            }
             case 'N':
-                output = null
-                break
+                return null
             case 'u':
-                output = undefined
-                break
+                return undefined
+            case 'n': {
+                const numberStr = readUntil(';')
+                check(isNumberString(numberStr), 'expected a number')
+                return Number(numberStr)
+            }
+            case 'B': {
+                const bigintStr = readUntil(';')
+                if(!/^-?\d+$/.test(bigintStr)) {return skip('expected a bigint')}
+                return BigInt(bigintStr)
+            }
+            case 'r': {
+                const refStr = readUntil(';')
+                check(/^\d+$/.test(refStr) && Number(refStr) < refs.length, 'expected the number of an earlier object')
+                return refs[Number(refStr)]
+            }
+            case 'D': {
+                const timeStr = readUntil(';')
+                check(isNumberString(timeStr), 'expected a timestamp')
+                const output = new Date(Number(timeStr))
+                refs.push(output)
+                return output
+            }
+            case 'R': {
+                const str = readSized()
+                // its place in refs is taken first, so the next objects keep their number when it's skipped
+                const refIndex = refs.length
+                refs.push(undefined)
+                const flagsStart = str.lastIndexOf('/')
+                if(str.charAt(0) != '/' || flagsStart < 1) {return skip('expected /source/flags')}
+                try {
+                    refs[refIndex] = new RegExp(str.slice(1, flagsStart), str.slice(flagsStart + 1))
+                }
+                catch (error) {
+                    return skip(error.message)
+                }
+                return refs[refIndex]
+            }
+            case 'A': {
+                const bytes = readUntil(';')
+                const refIndex = refs.length
+                refs.push(undefined)
+                const byteList = bytes === '' ? [] : bytes.split(',').map(Number)
+                if(!/^(\d+(,\d+)*)?$/.test(bytes) || byteList.some(byte => byte > 255)) {
+                    return skip('expected a list of bytes')
+                }
+                refs[refIndex] = new Uint8Array(byteList).buffer
+                return refs[refIndex]
+            }
+            case 'T': {
+                const name = readUntil(';')
+                // the items are numbers or bigints, so taking its place in refs first keeps the order
+                const refIndex = refs.length
+                refs.push(undefined)
+                const items = []
+                const arrayPath = path
+                readItems(']', index => items.push(readValue(joinPath(arrayPath, index))))
+                if(typedArrayNames.indexOf(name) == -1) {
+                    return skip('typed array ' + name + ' is not supported')
+                }
+                try {
+                    refs[refIndex] = globalThis[name].from(items)
+                }
+                catch (error) {
+                    // like numbers in a BigInt64Array
+                    return skip(error.message)
+                }
+                return refs[refIndex]
+            }
+            case 'C': {
+                const tag = readSized()
+                const instanceStart = valueStart
+                const instancePath = path
+                // the instance is encoded before its value, so its place in refs is taken first
+                const refIndex = refs.length
+                refs.push(undefined)
+                const value = readValue(instancePath)
+                valueStart = instanceStart
+                prefixChar = 'C'
+                path = instancePath
+                const output = reviveInstance(tag, value, strict, fail)
+                refs[refIndex] = output
+                return output
+            }
             case 'a': {
-                // 1. parse JSON
-                const step1 = JSON.parse(data)
-                
-                // 2. decode subkeys
-                const step2 = step1.map(stringEncoder.decode)
-                
-                return step2
-                
+                const output = []
+                refs.push(output)
+                const arrayPath = path
+                readItems(']', index => output.push(readValue(joinPath(arrayPath, index))))
+                return output
+            }
+            case 'S': {
+                const output = new Set()
+                refs.push(output)
+                const setPath = path
+                readItems(']', index => output.add(readValue(joinPath(setPath, index))))
+                return output
             }
             case 'o': {
-                // 1. parse JOSN
-                let step1 = JSON.parse(data)
-                
-                // 2. decode subkeys
-                const step2 = {}
-                for(let k in step1) {
-                    const v = step1[k]
-                    const decodedV = stringEncoder.decode(v)
-                    step2[k] = decodedV
-                }
-                
-                return step2
+                const output = {}
+                refs.push(output)
+                const objectPath = path
+                readItems('}', () => {
+                    const k = readSized()
+                    // defineProperty, so a __proto__ key stays a key instead of changing the prototype
+                    Object.defineProperty(output, k, {
+                        value: readValue(joinPath(objectPath, k)),
+                        writable: true, enumerable: true, configurable: true,
+                    })
+                })
+                return output
+            }
+            case 'M': {
+                const output = new Map()
+                refs.push(output)
+                const mapPath = path
+                readItems('}', index => {
+                    const entryPath = joinPath(mapPath, index)
+                    const k = readValue(joinPath(entryPath, 'key'))
+                    output.set(k, readValue(joinPath(entryPath, 'value')))
+                })
+                return output
             }
-            default:
-                console.error('prefixChar: ' + prefixChar + " not yet supported in stringEncoder.decode")
         }
-        
+        fail(prefixChar === '' ? 'missing value' : 'unknown prefix')
+    }
+    
+    try {
+        const output = readValue('')
+        if(i < dataStr.length) {
+            valueStart = i
+            prefixChar = undefined
+            path = ''
+            check(false, 'unexpected characters after the value')
+        }
         return output
     }
+    catch (error) {
+        if(strict || !(error instanceof DecodeError)) {
+            throw error
+        }
+        console.error(error.message)
+        return undefined
+    }
 }
 
 
-
-import { objDeepClone } from '@/scripts/util/helpers.js'
-
 export const stringEncoderTests = (function() {
+    class Money {
+        constructor(amount, currency) {
+            this.amount = amount
+            this.currency = currency
+        }
+    }
+    // the class is only registered while the tests that use it run
+    const registerMoney = () => {
+        registerClass('stringEncoderTests-Money', Money, {
+            serialize: money => [money.amount, money.currency],
+            revive: ([amount, currency]) => new Money(amount, currency),
+        })
+        return () => unregisterClass('stringEncoderTests-Money')
+    }
+    
     const obj = {
         encode: [
+            // Format 2
+            {
+                input: 'Hello',
+                exout: '2s5:Hello',
+            },
+            {
+                input: '',
+                exout: '2s0:',
+            },
+            {
+                // the length is used, so the special characters of the format don't need escaping
+                input: 'a:1;2]}"\\',
+                exout: '2s9:a:1;2]}"\\',
+            },
+            {
+                input: [true, false, null, undefined, -0, NaN, -Infinity, 1e100, 10n],
+                exout: '2ab1b0Nun-0;nNaN;n-Infinity;n1e+100;B10;]',
+            },
+            {
+                input: {k: 24, k2: 'Hello', 'Yay"bab e': 'a",s:"key65":"n23"', '  ss   s s ': null},
+                exout: '2o1:kn24;2:k2s5:Hello9:Yay"bab es18:a",s:"key65":"n23"11:  ss   s s N}',
+            },
+            {
+                // every level adds 2 characters
+                input: [[[['deep']]]],
+                exout: '2aaaas4:deep]]]]',
+            },
+            {
+                input: {empty: [], list: [{}]},
+                exout: '2o5:emptya]4:listao}]}',
+            },
+            {
+                input: new Uint8Array([0, 128, 255]),
+                exout: '2TUint8Array;n0;n128;n255;]',
+            },
+            {
+                input: new Date(Date.UTC(2017, 1, 3)),
+                exout: '2D1486080000000;',
+            },
+            {
+                input: /a\/b+"/gi,
+                exout: '2R10:/a\\/b+"/gi',
+            },
+            {
+                input: new Map([[1, 'one'], ['1', {a: true}]]),
+                exout: '2Mn1;s3:ones1:1o1:ab1}}',
+            },
+            {
+                input: new Set(['a', 2, null]),
+                exout: '2Ss1:an2;N]',
+            },
+            {
+                input: new Uint8Array([1, 2]).buffer,
+                exout: '2A1,2;',
+            },
+            {
+                input: (function() {
+                    const node = {name: 'root', children: []}
+                    node.children.push({name: 'child', parent: node})
+                    return node
+                })(),
+                exout: '2o4:names4:root8:childrenao4:names5:child6:parentr0;}]}',
+            },
+            {
+                // unsupported objects are written as u, without a reference number
+                input: (function() {
+                    const shared = {a: 1}
+                    return [new Error('x'), shared, shared]
+                })(),
+                exout: '2auo1:an1;}r1;]',
+                decodeExout: (function() {
+                    const shared = {a: 1}
+                    return [undefined, shared, shared]
+                })(),
+            },
+            {
+                input: {price: new Money(5, 'EUR')},
+                exout: '2o5:priceC24:stringEncoderTests-Moneyan5;s3:EUR]}',
+                setup: registerMoney,
+            },
+        ],
+        
+        // Format 1
+        encodeV1: [
+            {
+                input: new Money(5, 'EUR'),
+                exout: 'C["stringEncoderTests-Money","a[\\"n5\\",\\"sEUR\\"]"]',
+                setup: registerMoney,
+            },
             // Strings
             {
                 input: 'Hello',
@@ -205,17 +1071,314 @@ export const stringEncoderTests = (function() {
             {
                 input: [{key1: [1,2,null, undefined, 1 / 0], key2: -1 / 0}, 'sNaN', 0.015625, {'String Based Key': true}],
                 exout: 'a["o{\\"key1\\":\\"a[\\\\\\"n1\\\\\\",\\\\\\"n2\\\\\\",\\\\\\"Nnull\\\\\\",\\\\\\"uundefined\\\\\\",\\\\\\"nInfinity\\\\\\"]\\",\\"key2\\":\\"n-Infinity\\"}","ssNaN","n0.015625","o{\\"String Based Key\\":\\"btrue\\"}"]',
-            }
+            },
+            
+            
+            // -0 and Infinity
+            {
+                input: -0,
+                exout: 'n-0',
+            },
+            {
+                input: [Infinity, -Infinity],
+                exout: 'a["nInfinity","n-Infinity"]',
+            },
+            
+            // BigInt
+            {
+                input: 9007199254740993n,
+                exout: 'B9007199254740993',
+            },
+            
+            // Typed arrays
+            {
+                input: new Uint8Array([0, 128, 255]),
+                exout: 'TUint8Array["n0","n128","n255"]',
+            },
+            {
+                input: new Float64Array([NaN, -0, 0.5]),
+                exout: 'TFloat64Array["nNaN","n-0","n0.5"]',
+            },
+            {
+                input: new BigInt64Array([-5n]),
+                exout: 'TBigInt64Array["B-5"]',
+            },
+            
+            {
+                input: {createdAt: new Date(Date.UTC(2017, 1, 3))},
+                exout: 'o{"createdAt":"D1486080000000"}',
+            },
+            {
+                input: new Date(NaN),
+                exout: 'DNaN',
+            },
+            {
+                input: /a\/b+"/gi,
+                exout: 'R/a\\/b+"/gi',
+            },
+            {
+                input: new Map([[1, 'one'], ['1', {a: true}]]),
+                exout: 'M[["n1","sone"],["s1","o{\\"a\\":\\"btrue\\"}"]]',
+            },
+            {
+                input: new Set(['a', 2, null]),
+                exout: 'S["sa","n2","Nnull"]',
+            },
+            {
+                input: new Uint8Array([1, 2]).buffer,
+                exout: 'A[1,2]',
+            },
+            
+            // References
+            {
+                input: (function() {
+                    const shared = {x: 1}
+                    return [shared, {shared}, shared]
+                })(),
+                exout: 'a["o{\\"x\\":\\"n1\\"}","o{\\"shared\\":\\"r1\\"}","r1"]',
+            },
+            {
+                input: (function() {
+                    const node = {name: 'root', children: []}
+                    node.children.push({name: 'child', parent: node})
+                    return node
+                })(),
+                exout: 'o{"name":"sroot","children":"a[\\"o{\\\\\\"name\\\\\\":\\\\\\"schild\\\\\\",\\\\\\"parent\\\\\\":\\\\\\"r0\\\\\\"}\\"]"}',
+            },
+            {
+                // unsupported objects become null in lists, and don't get a reference number
+                input: (function() {
+                    const shared = {a: 1}
+                    return [new Error('x'), shared, shared]
+                })(),
+                exout: 'a[null,"o{\\"a\\":\\"n1\\"}","r1"]',
+                decodeExout: (function() {
+                    const shared = {a: 1}
+                    return [null, shared, shared]
+                })(),
+            },
             
         ],
-        decode: []
+        decode: [
+            // shared objects are the same object after decoding, not only equal
+            {
+                input: '2ao1:an1;}r1;]',
+                exout: (function() {
+                    const shared = {a: 1}
+                    return [shared, shared]
+                })(),
+                opts: {sameReferences: true},
+            },
+            {
+                // not strict, functions are written as null in lists by encodeV1, and decoded as null
+                input: 'a[null,"o{\\"a\\":\\"n1\\"}","r1"]',
+                exout: (function() {
+                    const shared = {a: 1}
+                    return [null, shared, shared]
+                })(),
+                opts: {sameReferences: true},
+            },
+            
+            // not strict, a value that can't be decoded is logged and decoded as undefined, in both formats.
+            // Objects that are skipped keep their number, so the references after them still match
+            {
+                input: 'C5',
+                exout: undefined,
+            },
+            {
+                input: 'M{}',
+                exout: undefined,
+            },
+            {
+                input: 'a["n1","C5","n2"]',
+                exout: [1, undefined, 2],
+            },
+            {
+                input: '2aB1x;n1;]',
+                exout: [undefined, 1],
+            },
+            {
+                input: 'o{"a":5,"b":"n1"}',
+                exout: {a: undefined, b: 1},
+            },
+            {
+                input: 'a["R(","D1","r1"]',
+                exout: [undefined, new Date(1), undefined],
+            },
+            {
+                input: '2aR3:abcD1;r1;]',
+                exout: [undefined, new Date(1), undefined],
+            },
+            {
+                input: '2aTBigInt64Array;n1;]s1:x]',
+                exout: [undefined, 'x'],
+            },
+            {
+                // a __proto__ key stays a key, in both formats
+                input: '2o9:__proto__o5:adminb1}}',
+                use: value => [Object.getPrototypeOf(value) === Object.prototype, Object.keys(value), value.admin],
+                exout: [true, ['__proto__'], undefined],
+            },
+            {
+                input: 'o{"__proto__":"o{\\"admin\\":\\"btrue\\"}"}',
+                use: value => [Object.getPrototypeOf(value) === Object.prototype, Object.keys(value), value.admin],
+                exout: [true, ['__proto__'], undefined],
+            },
+            {
+                // when the structure is broken nothing after it can be read
+                input: '2an1;s9:x]',
+                exout: undefined,
+            },
+            
+            // Versions
+            {
+                input: ['2v3;o4:names3:bob}', {migrations: {}}],
+                exout: {name: 'bob'},
+            },
+            {
+                input: ['2v1;o4:names3:bob}', {migrations: {
+                    1: user => ({firstName: user.name}),
+                    2: user => ({firstName: user.firstName, roles: ['user']}),
+                }}],
+                exout: {firstName: 'bob', roles: ['user']},
+            },
+            {
+                input: ['2v1;o4:names3:bob}', {version: 2, migrations: {
+                    1: user => ({firstName: user.name}),
+                    2: user => ({firstName: user.firstName, roles: ['user']}),
+                }}],
+                exout: {firstName: 'bob'},
+            },
+            {
+                // format 1 with a version
+                input: ['1v1;o{"name":"sbob"}', {migrations: {1: user => ({firstName: user.name})}}],
+                exout: {firstName: 'bob'},
+            },
+            {
+                // no version, so no migrations
+                input: ['2o4:names3:bob}', {migrations: {0: user => ({firstName: user.name})}}],
+                exout: {name: 'bob'},
+            },
+        ],
+        
+        tryDecode: [
+            {
+                input: '2o1:kb1}',
+                exout: {ok: true, value: {k: true}, error: undefined},
+            },
+            {
+                input: 'bmaybe',
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: 'b',
+                    path: '',
+                    substring: 'bmaybe',
+                    position: undefined,
+                    reason: 'expected true or false',
+                })},
+            },
+            {
+                input: 'o{"list":"a[\\"n1\\",\\"nabc\\"]"}',
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: 'n',
+                    path: 'list[1]',
+                    substring: 'nabc',
+                    position: undefined,
+                    reason: 'expected a number',
+                })},
+            },
+            {
+                input: '2ab1]b0',
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: undefined,
+                    path: '',
+                    substring: 'b0',
+                    position: 5,
+                    reason: 'unexpected characters after the value',
+                })},
+            },
+            {
+                input: '2o4:listab1bx]}',
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: 'b',
+                    path: 'list[1]',
+                    substring: 'bx]}',
+                    position: 11,
+                    reason: 'expected 1 or 0',
+                })},
+            },
+            {
+                input: '2aC7:Unknowno}]',
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: 'C',
+                    path: '[0]',
+                    substring: 'C7:Unknowno}]',
+                    position: 2,
+                    reason: 'no class registered as Unknown',
+                })},
+            },
+            {
+                input: null,
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: undefined,
+                    path: '',
+                    substring: 'null',
+                    position: undefined,
+                    reason: 'expected an encoded string, got null',
+                })},
+            },
+            {
+                input: 'C5',
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: 'C',
+                    path: '',
+                    substring: 'C5',
+                    position: undefined,
+                    reason: 'expected JSON with a list of [tag, value]',
+                })},
+            },
+            {
+                input: '2aB1x;n1;]',
+                exout: {ok: false, value: undefined, error: new DecodeError({
+                    prefix: 'B',
+                    path: '[0]',
+                    substring: 'B1x;n1;]',
+                    position: 2,
+                    reason: 'expected a bigint',
+                })},
+            },
+        ],
+        
+        readHeader: [
+            {
+                input: '2v12;n1;',
+                exout: {format: 2, version: 12, length: 5},
+            },
+            {
+                input: '2n1;',
+                exout: {format: 2, version: undefined, length: 1},
+            },
+            {
+                input: '1v0;n1',
+                exout: {format: 1, version: 0, length: 4},
+            },
+            {
+                input: 'a["n1"]',
+                exout: {format: 1, version: undefined, length: 0},
+            },
+        ],
     }
     
-    // create the decodes by flipping the encodes
-    obj.encode.forEach(encodeItem => {
+    // create the decodes by flipping the encodes, of both formats.
+    // decodeExout is used for values that don't come back the same, like unsupported types.
+    // sameReferences checks that shared and circular references are restored as the same object
+    obj.encode.concat(obj.encodeV1).forEach(encodeItem => {
         const decodeItem = {
             input: encodeItem.exout,
-            exout: objDeepClone(encodeItem.input)
+            exout: 'decodeExout' in encodeItem ? encodeItem.decodeExout : encodeItem.input,
+            opts: {sameReferences: true},
+        }
+        if(encodeItem.setup) {
+            decodeItem.setup = encodeItem.setup
         }
         obj.decode.push(decodeItem)
     })
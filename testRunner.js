@@ -0,0 +1,365 @@
+//
+//  Runs the *Tests tables that the util modules export next to their functions
+//
+//  A table is an export named <fnName>Tests, for example getTypeTests belongs to getType.
+//  Every test in a table has the shape:
+//
+//    {
+//      input: <value>,      the argument for the function
+//      args:  <array>,      (instead of input) the arguments for the function
+//      exout: <value>,      expected output
+//      opts:  <object>,     (optional) passed as options to equals when comparing
+//      setup: <function>,   (optional) called right before the test, for example to register something
+//                           the input refers to. it can return a cleanup function, called after the test
+//      use:   <function>,   (optional) called with the output, its result is compared instead.
+//                           for functions that return objects with methods, like createStorage
+//    }
+//
+//  Two table layouts are supported:
+//    - an array of tests, the function is the export with the same name
+//      (getTypeTests -> getType)
+//    - an object with arrays of tests, the keys are the methods of the export
+//      (stringEncoderTests.encode -> stringEncoder.encode)
+//
+//  When the function declares more than 1 parameter and input is an Array,
+//  input is spread as the arguments, so [a, b, opts] calls equals(a, b, opts).
+//  Use args for functions that take more than 1 argument but declare less, like fn(a, {strict} = {}).
+//
+//
+//  @example (inside of your own suite)
+//    import * as helpers from '@/scripts/util/helpers.js'
+//    import * as stringEncoderModule from '@/scripts/util/stringEncoder.js'
+//
+//    const report = runTests({helpers, stringEncoderModule})
+//    report.failed // 0
+//
+//  @example (from the command line, without args it runs all of the util modules)
+//    node testRunner.js
+//    node testRunner.js ./helpers.js
+//
+//  The util modules import each other through the '@/scripts/util/' alias of the bundler.
+//  Node doesn't know that alias, so the command line registers a resolve hook that maps it
+//  to the directory of this file.
+//  There is no package.json that marks these files as ES modules, so Node has to find that out itself:
+//  Node 20.19 or 22.7 and up, or 20.10 and up with: node --experimental-detect-module testRunner.js
+//  Inside of your own suite the alias has to be set up like the app does, for example in vite:
+//    resolve: {alias: {'@': '/src'}}
+//
+import { getType, equals } from './helpers.js'
+
+
+/**
+ * @desc
+ *   Find all of the test tables inside of a module namespace
+ *
+ * @output <array>
+ *   ex
+ *   [
+ *     {name: 'getType', fn: getType, tests: [...]},
+ *     {name: 'stringEncoder.encode', fn: stringEncoder.encode, tests: [...]},
+ *   ]
+ */
+export function findTestTables(moduleNs) {
+    const tables = []
+
+    for(let exportName in moduleNs) {
+        if(!/.Tests$/.test(exportName)) {
+            continue
+        }
+
+        const name = exportName.slice(0, -'Tests'.length)
+        const target = moduleNs[name]
+        const table = moduleNs[exportName]
+
+        if(target === undefined) {
+            console.error('testRunner: found ' + exportName + ' but there is no export named ' + name)
+            continue
+        }
+
+        if(Array.isArray(table)) {
+            tables.push({name, fn: target, tests: table})
+        } else {
+            for(let method in table) {
+                tables.push({
+                    name: name + '.' + method,
+                    fn: target[method],
+                    tests: table[method],
+                })
+            }
+        }
+    }
+
+    return tables
+}
+
+
+/**
+ * @desc
+ *   Runs a single test, never throws. errors are returned as failed tests
+ *
+ * @output <object>
+ *   {passed: <boolean>, actual: <value>, error: <Error|undefined>}
+ */
+export function runTest(fn, test) {
+    const spread = fn.length > 1 && Array.isArray(test.input)
+    const args = test.args
+        ? test.args
+        : spread ? test.input : [test.input]
+
+    let actual
+    let cleanup
+    try {
+        cleanup = test.setup ? test.setup() : undefined
+        actual = fn(...args)
+        if(test.use) {
+            actual = test.use(actual)
+        }
+    }
+    catch (error) {
+        return {passed: false, actual: undefined, error}
+    }
+    finally {
+        if(typeof cleanup === 'function') {
+            cleanup()
+        }
+    }
+
+    return {
+        passed: equals(actual, test.exout, test.opts),
+        actual,
+        error: undefined,
+    }
+}
+
+
+/**
+ * @desc
+ *   Runs all of the test tables of the given modules, and prints a report
+ *
+ * @input modules <object|array>
+ *   module namespaces, like the result of import * as helpers from '...'
+ *
+ * @input options <object>
+ *   - log: function used for the report, pass a noop to keep it quiet
+ *   - only: array of function names to run, like ['equals', 'stringEncoder.decode']
+ *
+ * @output <object>
+ *   {passed: 12, failed: 1, results: [{name, index, test, passed, actual, error}]}
+ */
+export function runTests(modules, {log = console.log, only} = {}) {
+    const results = []
+    let passed = 0
+    let failed = 0
+
+    const moduleList = Array.isArray(modules) ? modules : Object.values(modules)
+
+    moduleList.forEach(moduleNs => {
+        findTestTables(moduleNs).forEach(({name, fn, tests}) => {
+            if(only && only.indexOf(name) === -1) {
+                return
+            }
+
+            let tablePassed = 0
+            const tableFailures = []
+
+            tests.forEach((test, index) => {
+                const result = runTest(fn, test)
+                results.push(Object.assign({name, index, test}, result))
+
+                if(result.passed) {
+                    tablePassed++
+                } else {
+                    tableFailures.push(formatFailure(name, index, test, result))
+                }
+            })
+
+            passed += tablePassed
+            failed += tableFailures.length
+
+            log(
+                (tableFailures.length ? 'FAIL ' : 'PASS ') + name +
+                ' (' + tablePassed + '/' + tests.length + ')'
+            )
+            tableFailures.forEach(failure => log(failure))
+        })
+    })
+
+    log('')
+    log(passed + ' passed, ' + failed + ' failed')
+
+    return {passed, failed, results}
+}
+
+
+function formatFailure(name, index, test, result) {
+    const lines = ['  ' + name + ' #' + index]
+    if(test.args) {
+        lines.push('    args: ' + formatValue(test.args).split('\n').join('\n    '))
+    } else {
+        lines.push('    input: ' + formatValue(test.input).split('\n').join('\n    '))
+    }
+
+    if(result.error) {
+        lines.push('    threw: ' + String(result.error))
+    } else {
+        lines.push('    diff (- expected, + actual):')
+        diffLines(formatValue(test.exout), formatValue(result.actual)).forEach(line => {
+            lines.push('      ' + line)
+        })
+    }
+
+    return lines.join('\n')
+}
+
+
+/**
+ * @desc
+ *   Creates a readable, multiline representation of a value.
+ *   Unlike JSON.stringify it keeps NaN, undefined, Infinity, functions and symbols visible,
+ *   and it marks circular references.
+ */
+export function formatValue(value, indent = '', seen = []) {
+    const type = getType(value)
+
+    switch(type) {
+        case 'string':
+            return JSON.stringify(value)
+        case 'number':
+            return Object.is(value, -0) ? '-0' : String(value)
+        case 'function':
+            return '[function ' + (value.name || 'anonymous') + ']'
+        case 'symbol':
+        case 'boolean':
+        case 'undefined':
+        case 'null':
+            return String(value)
+        case 'Array':
+            return '[]'
+        case 'Object':
+            return '{}'
+        case 'Date':
+            return '[Date ' + (isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()) + ']'
+    }
+
+    if(type !== 'arraylike' && type !== 'objectlike' && type !== 'Map' && type !== 'Set') {
+        return '[' + type + ' ' + String(value) + ']'
+    }
+
+    if(seen.indexOf(value) !== -1) {
+        return '<circular-reference>'
+    }
+    seen = seen.concat([value])
+
+    const innerIndent = indent + '  '
+    const entries = []
+    if(type === 'Map' || type === 'Set') {
+        if(value.size === 0) {
+            return type + ' {}'
+        }
+        value.forEach((item, key) => {
+            entries.push(innerIndent + (type === 'Map'
+                ? formatValue(key, innerIndent, seen) + ' => ' + formatValue(item, innerIndent, seen)
+                : formatValue(item, innerIndent, seen)
+            ))
+        })
+        return type + ' {\n' + entries.join(',\n') + '\n' + indent + '}'
+    }
+    if(type === 'arraylike') {
+        for(let i = 0; i < value.length; i++) {
+            entries.push(innerIndent + formatValue(value[i], innerIndent, seen))
+        }
+        return '[\n' + entries.join(',\n') + '\n' + indent + ']'
+    }
+
+    for(let k in value) {
+        const key = /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k)
+        entries.push(innerIndent + key + ': ' + formatValue(value[k], innerIndent, seen))
+    }
+    return '{\n' + entries.join(',\n') + '\n' + indent + '}'
+}
+
+
+// line based diff using the longest common subsequence
+function diffLines(expected, actual) {
+    const a = expected.split('\n')
+    const b = actual.split('\n')
+
+    // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+    const lcs = []
+    for(let i = a.length; i >= 0; i--) {
+        lcs[i] = []
+        for(let j = b.length; j >= 0; j--) {
+            if(i === a.length || j === b.length) {
+                lcs[i][j] = 0
+            } else
+            if(a[i] === b[j]) {
+                lcs[i][j] = lcs[i + 1][j + 1] + 1
+            } else {
+                lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1])
+            }
+        }
+    }
+
+    const out = []
+    let i = 0
+    let j = 0
+    while(i < a.length || j < b.length) {
+        if(i < a.length && j < b.length && a[i] === b[j]) {
+            out.push('  ' + a[i])
+            i++
+            j++
+        } else
+        if(i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            out.push('- ' + a[i])
+            i++
+        } else {
+            out.push('+ ' + b[j])
+            j++
+        }
+    }
+    return out
+}
+
+
+// command line usage: node testRunner.js [...modulePaths]
+if(
+    typeof process !== 'undefined' &&
+    process.argv &&
+    process.argv[1] &&
+    new URL(import.meta.url).pathname === process.argv[1]
+) {
+    const paths = process.argv.slice(2)
+    const urls = paths.length
+        ? paths.map(path => new URL(path, 'file://' + process.cwd() + '/').href)
+        : ['./helpers.js', './stringEncoder.js', './json-validator.js', './json-schema.js', './json-typescript.js', './json-generator.js', './typedStorage.js', './schemaEncoder.js', './diffPatch.js', './traverse.js'].map(path => new URL(path, import.meta.url).href)
+
+    // maps '@/scripts/util/<file>' to the files next to this one
+    const aliasHooks = `
+        const base = ${JSON.stringify(new URL('./', import.meta.url).href)}
+        export function resolve(specifier, context, nextResolve) {
+            if(specifier.startsWith('@/scripts/util/')) {
+                return nextResolve(base + specifier.slice('@/scripts/util/'.length), context)
+            }
+            return nextResolve(specifier, context)
+        }
+    `
+
+    import('node:module')
+        .then(({register}) => {
+            if(!register) {
+                throw new Error('testRunner: this Node version has no module.register, use Node 20.19 or 22.7 and up')
+            }
+            register('data:text/javascript,' + encodeURIComponent(aliasHooks), import.meta.url)
+            return Promise.all(urls.map(url => import(url)))
+        })
+        .then(modules => {
+            const report = runTests(modules)
+            if(report.failed > 0) {
+                process.exitCode = 1
+            }
+        })
+        .catch(error => {
+            console.error(error)
+            process.exitCode = 1
+        })
+}
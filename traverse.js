@@ -0,0 +1,416 @@
+//
+//  Walks through nested data, and creates transformed copies of it
+//
+//  Arrays, objectlike values (plain objects and instances of classes), Maps and Sets are walked into,
+//  with or without items. The other values, like Date or typed arrays, are single values.
+//
+//  Paths are arrays of keys: the keys of objects and Maps, and the indexes of arrays and Sets.
+//  Circular references are never walked into twice, so everything works on circular data.
+//
+//  @example
+//    walk({list: [1, 2]}, {
+//        enter(value, key, path) { console.log('enter', path) },
+//        leave(value, key, path) { console.log('leave', path) },
+//    })
+//      > enter []   enter ['list']   enter ['list', 0]   leave ['list', 0]   enter ['list', 1] ...
+//
+//    mapDeep({a: 1, b: [2]}, value => typeof value === 'number' ? value * 10 : value)
+//      > {a: 10, b: [20]}
+//
+//    filterDeep([1, null, {a: null}], value => value !== null)
+//      > [1, {}]
+//
+//    removeKeys({id: 1, user: {password: 'x', name: 'bob'}}, ['password', key => key === 'id'])
+//      > {user: {name: 'bob'}}
+//
+//  mapDeep, filterDeep and removeKeys don't change their input, they take the options:
+//    - copyOnWrite: false (default), every array, object, Map and Set is a new one.
+//      true, only the containers in which something changed are copied, the rest is shared
+//      with the input, and the input itself is returned when nothing changed.
+//      Containers that are part of a cycle are the exception, they are always copied.
+//  In both modes shared and circular references point to the same copy,
+//  and sparse arrays keep their holes.
+//
+import { getStableType } from '@/scripts/util/helpers.js'
+
+
+/**
+ * @desc
+ *   Calls the visitor for every value, the input itself included, depth first
+ *
+ * @input visitor <function|object>
+ *   enter function, or {enter, leave}. Both are called with (value, key, path, parent).
+ *   When enter returns false, the children of the value are skipped.
+ *   Circular references are entered and left, but not walked into again
+ */
+export function walk(value, visitor) {
+    const {enter, leave} = typeof visitor === 'function'
+        ? {enter: visitor}
+        : visitor
+
+    // the containers from the input down to the current value
+    const ancestors = []
+
+    const visit = (node, key, path, parent) => {
+        const skip = enter && enter(node, key, path, parent) === false
+
+        const kind = getContainerKind(node)
+        if(!skip && kind && ancestors.indexOf(node) === -1) {
+            ancestors.push(node)
+            getEntries(node, kind).forEach(([childKey, child]) => {
+                visit(child, childKey, path.concat([childKey]), node)
+            })
+            ancestors.pop()
+        }
+
+        if(leave) {
+            leave(node, key, path, parent)
+        }
+    }
+    visit(value, undefined, [], undefined)
+}
+
+
+/**
+ * @desc
+ *   Copies the value, with every value replaced by fn(value, key, path).
+ *   fn is called after the children of a value are mapped, so containers get their mapped copy
+ */
+export function mapDeep(value, fn, options) {
+    return transform(value, {map: fn}, options)
+}
+
+
+/**
+ * @desc
+ *   Copies the value, without the values for which predicate(value, key, path, parent) returns false.
+ *   Removed items of arrays and Sets don't leave a hole. The input itself is always kept
+ */
+export function filterDeep(value, predicate, options) {
+    return transform(value, {keep: predicate}, options)
+}
+
+
+/**
+ * @desc
+ *   Copies the value, without the keys of objects and Maps that match.
+ *
+ * @input keys <array>
+ *   key names, and predicates called with (key, value, path)
+ */
+export function removeKeys(value, keys, options) {
+    const names = keys.filter(key => typeof key !== 'function')
+    const predicates = keys.filter(key => typeof key === 'function')
+
+    return transform(value, {
+        keep: (item, key, path, parent) => {
+            // indexes of arrays and Sets aren't keys
+            if(Array.isArray(parent) || parent instanceof Set) {
+                return true
+            }
+            return names.indexOf(key) === -1 && !predicates.some(predicate => predicate(key, item, path))
+        },
+    }, options)
+}
+
+
+
+// how the children of a value are read and written, undefined for values without children
+function getContainerKind(value) {
+    if(Array.isArray(value)) {
+        return 'array'
+    }
+    switch(getStableType(value)) {
+        case 'objectlike':
+            return 'object'
+        case 'Map':
+            return 'map'
+        case 'Set':
+            return 'set'
+    }
+    return undefined
+}
+
+// [[key, child], ...], the empty slots of sparse arrays are skipped
+function getEntries(value, kind) {
+    switch(kind) {
+        case 'array': {
+            const entries = []
+            value.forEach((child, i) => entries.push([i, child]))
+            return entries
+        }
+        case 'object':
+            return Object.keys(value).map(key => [key, value[key]])
+        case 'map':
+            return Array.from(value)
+        case 'set':
+            return Array.from(value).map((child, i) => [i, child])
+    }
+}
+
+function createEmpty(value, kind) {
+    switch(kind) {
+        case 'array':
+            return []
+        case 'object':
+            return Object.create(Object.getPrototypeOf(value))
+        case 'map':
+            return new Map()
+        case 'set':
+            return new Set()
+    }
+}
+
+function addEntry(container, kind, key, child) {
+    switch(kind) {
+        case 'array':
+        case 'object':
+            container[key] = child
+            break
+        case 'map':
+            container.set(key, child)
+            break
+        case 'set':
+            container.add(child)
+            break
+    }
+}
+
+// replaces child with newChild when it's at key, Sets keep their order
+function replaceEntry(container, kind, key, child, newChild) {
+    switch(kind) {
+        case 'array':
+        case 'object':
+            if(container[key] === child) {
+                container[key] = newChild
+            }
+            break
+        case 'map':
+            if(container.get(key) === child) {
+                container.set(key, newChild)
+            }
+            break
+        case 'set':
+            if(container.has(child)) {
+                const items = Array.from(container)
+                container.clear()
+                items.forEach(item => container.add(item === child ? newChild : item))
+            }
+            break
+    }
+}
+
+//
+//  The copy of every container is created before its children are done, so circular references can point to it.
+//  In copy on write mode it's only used when something inside of it changed.
+//  A circular reference always changes its container, because it points to a copy,
+//  so every container in the cycle is copied.
+//  When map returns something else than the copy, the circular references are pointed to that afterwards.
+//
+function transform(input, {keep, map}, options) {
+    const {copyOnWrite = false} = options || {}
+
+    // container > {copy, done, result, backReferences: [[container, kind, key], ...]}
+    const states = new Map()
+
+    const visit = (value, key, path) => {
+        const kind = getContainerKind(value)
+        if(!kind) {
+            return map ? map(value, key, path) : value
+        }
+
+        if(states.has(value)) {
+            const state = states.get(value)
+            return state.done ? state.result : state.copy
+        }
+
+        const state = {copy: createEmpty(value, kind), done: false, result: undefined, backReferences: []}
+        states.set(value, state)
+
+        let changed = !copyOnWrite
+        // the removed items of arrays move the next items forward
+        let removed = 0
+        getEntries(value, kind).forEach(([childKey, child]) => {
+            const childPath = path.concat([childKey])
+            if(keep && !keep(child, childKey, childPath, value)) {
+                changed = true
+                removed++
+                return
+            }
+            const childState = states.get(child)
+            const newChild = visit(child, childKey, childPath)
+            if(!Object.is(newChild, child)) {
+                changed = true
+            }
+            const newKey = kind === 'array' ? childKey - removed : childKey
+            addEntry(state.copy, kind, newKey, newChild)
+            if(childState && !childState.done) {
+                childState.backReferences.push([state.copy, kind, newKey])
+            }
+        })
+        if(kind === 'array') {
+            state.copy.length = value.length - removed
+        }
+
+        const result = changed ? state.copy : value
+        state.result = map ? map(result, key, path) : result
+        state.done = true
+        if(state.result !== state.copy) {
+            state.backReferences.forEach(([container, containerKind, childKey]) => {
+                // map usually copies the references of the container to itself into its result
+                if(container === state.copy) {
+                    replaceEntry(state.result, getContainerKind(state.result), childKey, state.copy, state.result)
+                }
+                replaceEntry(container, containerKind, childKey, state.copy, state.result)
+            })
+        }
+        return state.result
+    }
+
+    return visit(input, undefined, [])
+}
+
+
+
+export const mapDeepTests = [
+    {
+        input: [{a: 1, b: [2, 'x']}, value => typeof value === 'number' ? value * 10 : value],
+        exout: {a: 10, b: [20, 'x']},
+    },
+    {
+        // containers are mapped after their children
+        input: [{list: [3, 1, 2]}, value => Array.isArray(value) ? value.slice().sort() : value],
+        exout: {list: [1, 2, 3]},
+    },
+    {
+        input: [new Map([['k', new Set([1])]]), value => value === 1 ? 'one' : value, {copyOnWrite: true}],
+        exout: new Map([['k', new Set(['one'])]]),
+    },
+    {
+        // holes are kept in both modes, the keys show them
+        input: [[1, , 3], value => value],
+        use: result => Object.keys(result),
+        exout: ['0', '2'],
+    },
+    {
+        input: [[1, , 3], value => value === 3 ? 30 : value, {copyOnWrite: true}],
+        use: result => Object.keys(result).concat([result[2]]),
+        exout: ['0', '2', 30],
+    },
+    {
+        // circular references point to what map returned for their container
+        input: [
+            (function() {
+                const node = {name: 'node'}
+                node.self = node
+                return node
+            })(),
+            value => getStableType(value) === 'objectlike' ? Object.assign({mapped: true}, value) : value,
+        ],
+        use: result => [result.mapped, result.self === result],
+        exout: [true, true],
+    },
+    {
+        input: [
+            (function() {
+                const list = [1]
+                list.push(new Set([list]))
+                return list
+            })(),
+            value => Array.isArray(value) ? value.concat(['mapped']) : value,
+        ],
+        use: result => [result.length, Array.from(result[1])[0] === result],
+        exout: [3, true],
+    },
+]
+
+export const filterDeepTests = [
+    {
+        input: [[1, null, {a: null, b: 2}], value => value !== null],
+        exout: [1, {b: 2}],
+    },
+    {
+        input: [{keep: [], drop: 'x'}, (value, key) => key !== 'drop', {copyOnWrite: true}],
+        exout: {keep: []},
+    },
+    {
+        // the path has the indexes of the input
+        input: [[[1, 2], [3, 4]], (value, key, path) => path.join('.') !== '1.0'],
+        exout: [[1, 2], [4]],
+    },
+    {
+        // removed items don't leave a hole, the holes that were there stay
+        input: [[1, , null, 3, null], value => value !== null],
+        use: result => [result.length, Object.keys(result)],
+        exout: [3, ['0', '2']],
+    },
+]
+
+export const removeKeysTests = (function() {
+    const tests = [
+        {
+            input: [{id: 1, user: {password: 'x', name: 'bob'}}, ['password', key => key === 'id']],
+            exout: {user: {name: 'bob'}},
+        },
+        {
+            // indexes are not keys
+            input: [{0: 'key', list: ['index']}, ['0']],
+            exout: {list: ['index']},
+        },
+        {
+            input: [new Map([['password', 1], ['ok', 2]]), ['password']],
+            exout: new Map([['ok', 2]]),
+        },
+    ]
+
+    // circular structures, in both modes
+    {
+        const node = {name: 'root', secret: 1, children: []}
+        node.children.push({name: 'child', secret: 2, parent: node})
+
+        const expected = {name: 'root', children: []}
+        expected.children.push({name: 'child', parent: expected})
+
+        tests.push(
+            {
+                input: [node, ['secret']],
+                exout: expected,
+            },
+            {
+                input: [node, ['secret'], {copyOnWrite: true}],
+                exout: expected,
+            },
+        )
+    }
+
+    // in copy on write mode the containers in a cycle are copied, also when nothing changed
+    {
+        const node = {name: 'root', children: []}
+        node.children.push({name: 'child', parent: node})
+        const sibling = {name: 'sibling'}
+        node.sibling = sibling
+        tests.push({
+            input: [node, ['password'], {copyOnWrite: true}],
+            use: result => [result === node, result.children[0].parent === result, result.sibling === sibling],
+            exout: [false, true, true],
+        })
+    }
+
+    // copy on write returns the input when nothing changed
+    {
+        const data = {list: [1, 2], user: {name: 'bob'}}
+        tests.push(
+            {
+                input: [data, ['password'], {copyOnWrite: true}],
+                exout: data,
+            },
+            {
+                input: [data, ['password']],
+                exout: data,
+                opts: {noReference: true},
+            },
+        )
+    }
+
+    return tests
+})()
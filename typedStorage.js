@@ -0,0 +1,446 @@
+//
+//  Key-value storage that keeps the types of the values, on top of localStorage or any other Storage
+//
+//  localStorage only stores strings, so 'false' and false become the same thing.
+//  This stores every value with stringEncoder, so they come back the way they were set.
+//
+//  @example
+//    const settings = createStorage({namespace: 'settings'})
+//
+//    settings.set('darkMode', false)
+//    settings.get('darkMode')          // false, not 'false'
+//    settings.keys()                   // ['darkMode'], only the keys of this namespace
+//
+//  The keys are stored as <namespace>:<key>. A : or \ in the namespace is escaped with a \,
+//  so namespace 'a' doesn't see the keys of namespace 'a:b'.
+//  Without a namespace keys() returns every key of the backend, and clear() throws,
+//  because it would remove the data of every other part of the app as well.
+//
+//  @example (check values when they are read)
+//    const settings = createStorage({
+//      namespace: 'settings',
+//      validators: {fontSize: 'number(8..72)'},
+//    })
+//
+//    settings.get('fontSize')                  // throws a ValidationError when the stored value is wrong,
+//                                              // or a DecodeError when it's corrupt
+//    settings.get('fontSize', {fallback: 16})  // 16 when it's missing, wrong or corrupt
+//
+//  @example (in Node, or in tests)
+//    const storage = createStorage({backend: createMemoryStorage()})
+//
+import { stringEncoder } from '@/scripts/util/stringEncoder.js'
+import { JSONAssert } from '@/scripts/util/json-validator.js'
+
+
+export class StorageQuotaError extends Error {
+    constructor(key, size, cause) {
+        super('Storage is full, could not store ' + size + ' characters for key: ' + key)
+        this.name = 'StorageQuotaError'
+        this.key = key
+        this.size = size
+        this.cause = cause
+    }
+}
+
+
+/**
+ * @desc
+ *   Creates a storage with get/set/remove/keys/clear
+ *
+ * @input options <object>
+ *   - backend: object with the Storage interface (getItem, setItem, removeItem, key, length),
+ *     localStorage by default
+ *   - namespace: prefix for the keys, so different parts of an app can't overwrite each others keys
+ *   - validators: object with a JSONCheck validator per key, used by get
+ *   - version, migrations: passed to stringEncoder, so stored data can be migrated
+ *   - onQuotaExceeded: called with {key, size, storage} when the backend is full.
+ *     When it returns true (after making room), set tries again once
+ */
+export function createStorage({
+    backend = globalThis.localStorage,
+    namespace = '',
+    validators = {},
+    version,
+    migrations,
+    onQuotaExceeded,
+} = {}) {
+    if(!backend) {
+        throw new Error('createStorage: there is no localStorage here, pass a backend like createMemoryStorage()')
+    }
+
+    const prefix = namespace === '' ? '' : namespace.replace(/[\\:]/g, '\\$&') + ':'
+
+    const storage = {
+        /**
+         * @input options <object>
+         *   - validator: overrides the validator of this key
+         *   - fallback: returned when the key is missing, or when the value is invalid or corrupt instead of throwing
+         */
+        get(key, options = {}) {
+            const hasFallback = 'fallback' in options
+            const dataStr = backend.getItem(prefix + key)
+            if(dataStr === null) {
+                return options.fallback
+            }
+
+            const decoded = stringEncoder.tryDecode(dataStr, {version, migrations})
+            if(!decoded.ok) {
+                if(hasFallback) {
+                    return options.fallback
+                }
+                throw decoded.error
+            }
+            const value = decoded.value
+
+            const validator = options.validator !== undefined
+                ? options.validator
+                : validators[key]
+            if(validator !== undefined) {
+                try {
+                    JSONAssert(value, validator)
+                }
+                catch (error) {
+                    if(hasFallback) {
+                        return options.fallback
+                    }
+                    error.message = 'stored value of key ' + key + ' is invalid: ' + error.message
+                    throw error
+                }
+            }
+            return value
+        },
+
+        set(key, value) {
+            const dataStr = stringEncoder.encode(value, {version})
+            try {
+                backend.setItem(prefix + key, dataStr)
+            }
+            catch (error) {
+                if(!isQuotaExceededError(error)) {
+                    throw error
+                }
+                if(onQuotaExceeded && onQuotaExceeded({key, size: dataStr.length, storage})) {
+                    try {
+                        backend.setItem(prefix + key, dataStr)
+                        return
+                    }
+                    catch (retryError) {
+                        if(!isQuotaExceededError(retryError)) {
+                            throw retryError
+                        }
+                    }
+                }
+                throw new StorageQuotaError(key, dataStr.length, error)
+            }
+        },
+
+        has(key) {
+            return backend.getItem(prefix + key) !== null
+        },
+
+        remove(key) {
+            backend.removeItem(prefix + key)
+        },
+
+        // the keys inside of the namespace, without the namespace
+        keys() {
+            const keys = []
+            for(let i = 0; i < backend.length; i++) {
+                const fullKey = backend.key(i)
+                if(fullKey !== null && fullKey.slice(0, prefix.length) === prefix) {
+                    keys.push(fullKey.slice(prefix.length))
+                }
+            }
+            return keys
+        },
+
+        // only removes the keys of the namespace
+        clear() {
+            if(prefix === '') {
+                throw new Error('typedStorage: clear needs a namespace, without one it would remove every key of the backend')
+            }
+            storage.keys().forEach(storage.remove)
+        },
+    }
+
+    return storage
+}
+
+
+/**
+ * @desc
+ *   An in memory backend with the Storage interface, for Node and tests
+ *
+ * @input options <object>
+ *   - quota: max number of characters (keys and values), setItem throws a QuotaExceededError above it
+ */
+export function createMemoryStorage({quota = Infinity} = {}) {
+    const items = new Map()
+    let size = 0
+
+    return {
+        get length() {
+            return items.size
+        },
+        key(index) {
+            const keys = Array.from(items.keys())
+            return index < keys.length ? keys[index] : null
+        },
+        getItem(key) {
+            key = String(key)
+            return items.has(key) ? items.get(key) : null
+        },
+        setItem(key, value) {
+            key = String(key)
+            value = String(value)
+            const oldSize = items.has(key) ? key.length + items.get(key).length : 0
+            const newSize = size - oldSize + key.length + value.length
+            if(newSize > quota) {
+                const error = new Error('The quota has been exceeded.')
+                error.name = 'QuotaExceededError'
+                error.code = 22
+                throw error
+            }
+            items.set(key, value)
+            size = newSize
+        },
+        removeItem(key) {
+            key = String(key)
+            if(items.has(key)) {
+                size -= key.length + items.get(key).length
+                items.delete(key)
+            }
+        },
+        clear() {
+            items.clear()
+            size = 0
+        },
+    }
+}
+
+
+// browsers use different names and codes for a full storage
+export function isQuotaExceededError(error) {
+    return error != null && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    )
+}
+
+
+
+export const isQuotaExceededErrorTests = [
+    {
+        input: {name: 'QuotaExceededError', code: 22},
+        exout: true,
+    },
+    {
+        // Firefox
+        input: {name: 'NS_ERROR_DOM_QUOTA_REACHED', code: 1014},
+        exout: true,
+    },
+    {
+        input: new TypeError('x is not a function'),
+        exout: false,
+    },
+    {
+        input: null,
+        exout: false,
+    },
+]
+
+export const createStorageTests = (function() {
+    const tests = []
+
+    // values come back with their types
+    {
+        const backend = createMemoryStorage()
+        tests.push({
+            input: {backend},
+            use: storage => {
+                storage.set('off', false)
+                storage.set('text', 'false')
+                storage.set('number', -1.5)
+                storage.set('object', {list: [1, {a: null}], date: new Date(0)})
+                return [
+                    storage.get('off'),
+                    storage.get('text'),
+                    storage.get('number'),
+                    storage.get('object'),
+                    storage.get('missing'),
+                    backend.getItem('off') === backend.getItem('text'),
+                ]
+            },
+            exout: [false, 'false', -1.5, {list: [1, {a: null}], date: new Date(0)}, undefined, false],
+        })
+    }
+
+    // namespaces don't see each others keys
+    {
+        const backend = createMemoryStorage()
+        const other = createStorage({backend, namespace: 'other'})
+        tests.push({
+            input: {backend, namespace: 'settings'},
+            use: storage => {
+                storage.set('theme', 'dark')
+                other.set('theme', 'light')
+                other.set('user', 'bob')
+                const keys = [storage.keys(), other.keys().sort()]
+
+                storage.clear()
+                return keys.concat([storage.keys(), other.keys().sort(), other.get('theme')])
+            },
+            exout: [['theme'], ['theme', 'user'], [], ['theme', 'user'], 'light'],
+        })
+    }
+
+    // the namespace is escaped, so 'a' doesn't see or remove the keys of 'a:b'
+    {
+        const backend = createMemoryStorage()
+        const nested = createStorage({backend, namespace: 'a:b'})
+        tests.push({
+            input: {backend, namespace: 'a'},
+            use: storage => {
+                storage.set('b:x', 1)
+                nested.set('x', 2)
+                const keys = [storage.keys(), nested.keys()]
+
+                storage.clear()
+                return keys.concat([nested.keys(), nested.get('x'), backend.key(0)])
+            },
+            exout: [['b:x'], ['x'], ['x'], 2, 'a\\:b:x'],
+        })
+    }
+
+    // clear without a namespace would remove everything
+    {
+        const backend = createMemoryStorage()
+        createStorage({backend, namespace: 'other'}).set('x', 1)
+        tests.push({
+            input: {backend},
+            use: storage => {
+                let errorMessage
+                try {
+                    storage.clear()
+                }
+                catch (error) {
+                    errorMessage = error.message
+                }
+                return [errorMessage, backend.length]
+            },
+            exout: ['typedStorage: clear needs a namespace, without one it would remove every key of the backend', 1],
+        })
+    }
+
+    // validators, with and without a fallback
+    {
+        const backend = createMemoryStorage()
+        tests.push({
+            input: {backend, validators: {fontSize: 'number(8..72)'}},
+            use: storage => {
+                storage.set('fontSize', 100)
+                let errorName
+                try {
+                    storage.get('fontSize')
+                }
+                catch (error) {
+                    errorName = error.name
+                }
+                const invalid = storage.get('fontSize', {fallback: 16})
+
+                backend.setItem('fontSize', 'corrupt')
+                const corrupt = storage.get('fontSize', {fallback: 16})
+
+                storage.set('fontSize', 12)
+                return [errorName, invalid, corrupt, storage.get('fontSize', {fallback: 16})]
+            },
+            exout: ['ValidationError', 16, 16, 12],
+        })
+    }
+
+    // a full storage, with room made by onQuotaExceeded
+    {
+        const calls = []
+        tests.push({
+            input: {
+                backend: createMemoryStorage({quota: 40}),
+                onQuotaExceeded: ({key, size, storage}) => {
+                    calls.push([key, size])
+                    storage.remove('old')
+                    return true
+                },
+            },
+            use: storage => {
+                storage.set('old', 'x'.repeat(20))
+                storage.set('new', 'y'.repeat(20))
+                return [storage.has('old'), storage.get('new'), calls]
+            },
+            exout: [false, 'y'.repeat(20), [['new', stringEncoder.encode('y'.repeat(20)).length]]],
+        })
+    }
+
+    // a full storage throws a StorageQuotaError, also when the retry fails
+    {
+        const tryToSet = (storage, key, value) => {
+            try {
+                storage.set(key, value)
+                return 'stored'
+            }
+            catch (error) {
+                return [error instanceof StorageQuotaError, error.key, error.cause.name]
+            }
+        }
+        tests.push(
+            {
+                input: {backend: createMemoryStorage({quota: 10})},
+                use: storage => tryToSet(storage, 'key', 'too long for the quota'),
+                exout: [true, 'key', 'QuotaExceededError'],
+            },
+            {
+                input: {backend: createMemoryStorage({quota: 10}), onQuotaExceeded: () => true},
+                use: storage => tryToSet(storage, 'key', 'too long for the quota'),
+                exout: [true, 'key', 'QuotaExceededError'],
+            },
+            {
+                input: {backend: createMemoryStorage({quota: 10}), onQuotaExceeded: () => false},
+                use: storage => [tryToSet(storage, 'key', 'too long for the quota'), storage.keys()],
+                exout: [[true, 'key', 'QuotaExceededError'], []],
+            },
+        )
+    }
+
+    return tests
+})()
+
+export const createMemoryStorageTests = [
+    {
+        // keys and values both count, replaced and removed items give their room back
+        input: {quota: 10},
+        use: backend => {
+            const results = []
+            const trySet = (key, value) => {
+                try {
+                    backend.setItem(key, value)
+                    results.push(true)
+                }
+                catch (error) {
+                    results.push(error.name)
+                }
+            }
+            trySet('ab', 'cdefgh')
+            trySet('x', 'yy')
+            trySet('ab', 'cd')
+            trySet('x', 'yyyyy')
+            trySet('z', '')
+            backend.removeItem('ab')
+            trySet('z', '')
+            backend.clear()
+            trySet('q', 'r'.repeat(9))
+            return [results, backend.length, backend.key(0), backend.getItem('q')]
+        },
+        exout: [[true, 'QuotaExceededError', true, true, 'QuotaExceededError', true, true], 1, 'q', 'r'.repeat(9)],
+    },
+]